@@ -1,15 +1,28 @@
 import * as THREE from 'three';
+import { AssemblyMotion } from './AssemblyMotion.js';
+import { TweenManager } from './TweenManager.js';
+import { CancelledError } from './CancellationToken.js';
 
 /**
  * Manages assembly animations for individual meshes
- * Reads animation configurations and applies directional movements
+ * Reads animation configurations and plays each step's motions as a timeline:
+ * entries run after one another by default, and can be grouped (`parallel` / `sequence`),
+ * chained (`start: "withPrevious" | "afterPrevious"`) or offset (`delay`, `startAt`, in seconds)
  */
 export class AssemblyAnimator {
-    constructor(meshGroupLoader) {
+    /**
+     * @param {MeshGroupLoader} meshGroupLoader - Provides the mesh groups
+     * @param {TweenManager} tweenManager - Clock driving the clone animations
+     */
+    constructor(meshGroupLoader, tweenManager) {
         this.meshGroupLoader = meshGroupLoader;
+        this.tweenManager = tweenManager;
         this.animationConfig = null;
         this.animationOffsets = new Map(); // Store offset positions for each mesh
-        this.animationClones = new Map(); // Store cloned meshes for animation
+        this.animationClones = new Map(); // Store cloned meshes for animation (one per track and mesh)
+        this.installedOriginals = new Set(); // Originals swapped in for their clones
+        this.timeline = null; // { tracks, duration } of the step the clones were created for
+        this.playback = null; // { time, direction, paused, ... } while a step timeline is loaded
         this.scene = null; // Will be set when needed
     }
 
@@ -20,6 +33,7 @@ export class AssemblyAnimator {
     async initialize(jsonPath) {
         try {
             const response = await fetch(jsonPath);
+            if (!response.ok) throw new Error(`Failed to load animation config: ${response.status}`);
             this.animationConfig = await response.json();
             console.log('AssemblyAnimator: Loaded animation config with', 
                 Object.keys(this.animationConfig).length, 'steps');
@@ -30,23 +44,6 @@ export class AssemblyAnimator {
         }
     }
 
-    /**
-     * Parse direction string to vector
-     * @param {string} direction - Direction string (+X, -X, +Y, -Y, +Z, -Z)
-     * @returns {THREE.Vector3} Direction vector
-     */
-    _parseDirection(direction) {
-        const directionMap = {
-            '+X': new THREE.Vector3(1, 0, 0),
-            '-X': new THREE.Vector3(-1, 0, 0),
-            '+Y': new THREE.Vector3(0, 1, 0),
-            '-Y': new THREE.Vector3(0, -1, 0),
-            '+Z': new THREE.Vector3(0, 0, 1),
-            '-Z': new THREE.Vector3(0, 0, -1)
-        };
-        return directionMap[direction] || new THREE.Vector3(0, 0, 0);
-    }
-
     /**
      * Get meshes from a base name or assembled group (expands numbered variants)
      * @param {THREE.Object3D} droneModel - The drone model
@@ -68,7 +65,13 @@ export class AssemblyAnimator {
             }
         }
 
-        // Fallback: search directly in model
+        // Fallback: the name and its copies (same matching as MeshGroups.json base names)
+        const resolver = this.meshGroupLoader?.getMeshResolver();
+        if (resolver && resolver.root === droneModel) {
+            return resolver.resolve(baseName);
+        }
+
+        // No resolver for this model: search directly in model
         const meshes = [];
         droneModel.traverse(child => {
             if (child.isMesh && child.name === baseName) {
@@ -89,11 +92,12 @@ export class AssemblyAnimator {
         
         this.scene = scene;
         this.clearClones(); // Clear any existing clones
+        this.timeline = this.buildTimeline(stepAnimation.animations);
 
-        stepAnimation.animations.forEach(animConfig => {
+        this.timeline.tracks.forEach((track, trackIndex) => {
+            const animConfig = track.config;
             const meshes = this._getMeshesByName(droneModel, animConfig.mesh);
-            const direction = this._parseDirection(animConfig.direction);
-            const offset = animConfig.offset || 0.5;
+            const motion = AssemblyMotion.fromConfig(animConfig);
 
             meshes.forEach(mesh => {
                 // Clone the mesh
@@ -108,9 +112,13 @@ export class AssemblyAnimator {
                     }
                 }
                 
-                // Position clone at offset position (opposite direction)
-                const offsetVector = direction.clone().multiplyScalar(-offset);
-                clone.position.copy(mesh.position).add(offsetVector);
+                // Pose clone at the start of its motion (exploded pose)
+                const installed = {
+                    position: mesh.position.clone(),
+                    quaternion: mesh.quaternion.clone(),
+                    scale: mesh.scale.clone()
+                };
+                motion.apply(clone, installed, 0);
                 
                 // Make clone invisible initially
                 clone.visible = false;
@@ -132,122 +140,294 @@ export class AssemblyAnimator {
                 // Store animation data
                 this.animationOffsets.set(clone.uuid, {
                     originalMesh: mesh,
-                    targetPosition: mesh.position.clone(),
-                    direction: direction,
-                    offset: offset
+                    targetPosition: installed.position,
+                    installed,
+                    motion,
+                    easing: TweenManager.getEasing(animConfig.easing || 'easeInOutQuad'),
+                    track
                 });
                 
-                this.animationClones.set(mesh.uuid, clone);
+                // Keyed per track: a mesh may move in on one track and turn on a later one
+                this.animationClones.set(`${trackIndex}:${mesh.uuid}`, clone);
             });
         });
 
-        console.log(`AssemblyAnimator: Created ${this.animationClones.size} animation clones`);
+        console.log(`AssemblyAnimator: Created ${this.animationClones.size} animation clones ` +
+            `(timeline ${this.timeline.duration.toFixed(2)}s)`);
+    }
+
+    /**
+     * Original meshes that have an animation clone (hidden until their clone installs them)
+     * @returns {THREE.Mesh[]}
+     */
+    getAnimatedMeshes() {
+        const meshes = new Set();
+        this.animationOffsets.forEach(offsetData => meshes.add(offsetData.originalMesh));
+        return Array.from(meshes);
+    }
+
+    /**
+     * Lay out a step's animation entries on a timeline
+     * @param {Object[]} entries - `animations` array of a step
+     * @returns {{tracks: Object[], duration: number}} Tracks ({ config, start, duration }) and total length in seconds
+     */
+    buildTimeline(entries) {
+        const tracks = [];
+        const duration = this._layoutEntries(entries || [], 0, false, tracks);
+        return { tracks, duration };
     }
 
     /**
-     * Animate cloned meshes moving to their centered positions (one by one sequentially)
+     * Place entries starting at `levelStart`; returns the time the last of them ends
+     * @param {Object[]} entries - Motion entries or `{ parallel: [] }` / `{ sequence: [] }` groups
+     * @param {number} levelStart - Start time of the enclosing group
+     * @param {boolean} parallel - Whether the entries all start with the group
+     * @param {Object[]} tracks - Output track list
+     * @returns {number} End time
+     */
+    _layoutEntries(entries, levelStart, parallel, tracks) {
+        let previousStart = levelStart;
+        let levelEnd = levelStart;
+
+        entries.forEach(entry => {
+            let anchor;
+            if (entry.startAt !== undefined) {
+                anchor = levelStart + entry.startAt;
+            } else if (parallel) {
+                anchor = levelStart;
+            } else if (entry.start === 'withPrevious') {
+                anchor = previousStart;
+            } else {
+                // "afterPrevious" (default): once everything before it has finished
+                anchor = levelEnd;
+            }
+            const start = anchor + (entry.delay || 0);
+
+            let end;
+            if (Array.isArray(entry.parallel)) {
+                end = this._layoutEntries(entry.parallel, start, true, tracks);
+            } else if (Array.isArray(entry.sequence)) {
+                end = this._layoutEntries(entry.sequence, start, false, tracks);
+            } else {
+                const duration = entry.duration || 1.0; // seconds
+                tracks.push({ config: entry, start, duration });
+                end = start + duration;
+            }
+
+            previousStart = start;
+            levelEnd = Math.max(levelEnd, end);
+        });
+
+        return levelEnd;
+    }
+
+    /**
+     * Play the step's timeline on the clones (created by createAnimationClones).
+     * Resolves the first time the playhead reaches the end; the timeline stays loaded afterwards
+     * so it can be paused, scrubbed, replayed or reversed until the clones are cleared.
      * @param {string} stepId - Step ID
      * @param {THREE.Object3D} droneModel - The drone model
+     * @param {CancellationToken} token - Optional token that aborts the animation
      */
-    async playAssemblyAnimation(stepId, droneModel) {
+    async playAssemblyAnimation(stepId, droneModel, token = null) {
         const stepAnimation = this.animationConfig?.[stepId];
-        if (!stepAnimation || !stepAnimation.animations) {
+        if (!stepAnimation || !stepAnimation.animations || !this.timeline) {
             console.warn(`AssemblyAnimator: No animation config for step ${stepId}`);
             return;
         }
 
-        console.log(`AssemblyAnimator: Playing assembly animation for ${stepId} (sequential)`);
+        const { duration } = this.timeline;
+        console.log(`AssemblyAnimator: Playing assembly animation for ${stepId} (${duration.toFixed(2)}s)`);
 
-        // Animate each mesh group one by one (sequentially)
-        for (const animConfig of stepAnimation.animations) {
-            const meshes = this._getMeshesByName(droneModel, animConfig.mesh);
-            const duration = (animConfig.duration || 1.0) * 1000; // Convert to ms
-            
-            // Get clones for these meshes and animate them
-            const meshPromises = meshes.map(mesh => {
-                const clone = this.animationClones.get(mesh.uuid);
-                if (clone) {
-                    return this._animateCloneToTarget(clone, duration);
-                }
-                return Promise.resolve();
-            });
+        this._stopPlayback();
+        await new Promise((resolve, reject) => {
+            token?.throwIfCancelled();
 
-            // Wait for this group to complete before moving to the next
-            await Promise.all(meshPromises);
-        }
+            // The tween clock advances the playhead, so pause/time-scale of the clock applies too
+            const playback = {
+                stepId,
+                time: 0,
+                direction: 1,
+                paused: false,
+                onFinish: resolve,
+                // Settles the promise if playback is stopped first (no-op once it has finished)
+                onStop: () => reject(new CancelledError()),
+                unregister: this.tweenManager.addTicker(dt => this._tickPlayback(dt)),
+                unsubscribe: null
+            };
+            if (token) {
+                playback.unsubscribe = token.onCancel(() => this._stopPlayback());
+            }
+            this.playback = playback;
+            this._applyTime(0);
+        });
 
         console.log(`AssemblyAnimator: Completed assembly animation for ${stepId}`);
     }
 
     /**
-     * Animate a cloned mesh from offset position to target position
-     * @param {THREE.Mesh} clone - The cloned mesh to animate
-     * @param {number} duration - Animation duration in milliseconds
+     * Current playback state (for playback controls)
+     * @returns {{stepId: string, time: number, duration: number, direction: number, paused: boolean}|null}
      */
-    async _animateCloneToTarget(clone, duration) {
-        const offsetData = this.animationOffsets.get(clone.uuid);
-        if (!offsetData) {
-            console.warn('AssemblyAnimator: No offset data for clone', clone.name);
-            return;
+    getPlaybackState() {
+        if (!this.playback || !this.timeline) return null;
+        const { stepId, time, direction, paused } = this.playback;
+        return { stepId, time, duration: this.timeline.duration, direction, paused };
+    }
+
+    pausePlayback() {
+        if (this.playback) this.playback.paused = true;
+    }
+
+    /**
+     * Resume playing in the current direction (starts over if already at that end)
+     */
+    resumePlayback() {
+        const playback = this.playback;
+        if (!playback) return;
+        if (playback.direction > 0 && playback.time >= this.timeline.duration) {
+            playback.time = 0;
+        } else if (playback.direction < 0 && playback.time <= 0) {
+            playback.time = this.timeline.duration;
         }
+        playback.paused = false;
+    }
 
-        const startPosition = clone.position.clone();
-        const targetPosition = offsetData.targetPosition.clone();
-        const startTime = Date.now();
+    /**
+     * Move the playhead without changing play/pause state
+     * @param {number} time - Seconds from the start of the step animation
+     */
+    seekPlayback(time) {
+        if (!this.playback) return;
+        this.playback.time = THREE.MathUtils.clamp(time, 0, this.timeline.duration);
+        this._applyTime(this.playback.time);
+        if (this.playback.time >= this.timeline.duration) this._finishPlayback();
+    }
 
-        // Make clone visible and start fade in
-        clone.visible = true;
+    /**
+     * Play the step's assembly again from the start
+     */
+    replayPlayback() {
+        if (!this.playback) return;
+        this.playback.direction = 1;
+        this.seekPlayback(0);
+        this.playback.paused = false;
+    }
 
-        return new Promise(resolve => {
-            const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
-                // Ease-in-out interpolation
-                const eased = progress < 0.5 
-                    ? 2 * progress * progress 
-                    : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+    /**
+     * Play the step backwards (disassembly) from the current playhead, or from the end if at the start
+     */
+    reversePlayback() {
+        if (!this.playback) return;
+        this.playback.direction = -1;
+        this.resumePlayback();
+    }
 
-                // Update position
-                clone.position.lerpVectors(startPosition, targetPosition, eased);
+    _tickPlayback(dt) {
+        const playback = this.playback;
+        if (!playback || playback.paused) return;
 
-                // Fade in opacity
-                if (clone.material) {
-                    const materials = Array.isArray(clone.material) ? clone.material : [clone.material];
-                    materials.forEach(mat => {
-                        mat.opacity = eased;
-                    });
-                }
+        const duration = this.timeline.duration;
+        playback.time = THREE.MathUtils.clamp(playback.time + dt * playback.direction, 0, duration);
+        this._applyTime(playback.time);
 
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    // Animation complete - hide clone and show original
-                    clone.visible = false;
-                    if (offsetData.originalMesh) {
-                        offsetData.originalMesh.visible = true;
-                        // Restore original mesh opacity
-                        if (offsetData.originalMesh.material) {
-                            const materials = Array.isArray(offsetData.originalMesh.material) 
-                                ? offsetData.originalMesh.material 
-                                : [offsetData.originalMesh.material];
-                            materials.forEach(mat => {
-                                mat.opacity = 1;
-                            });
-                        }
-                    }
-                    resolve();
-                }
-            };
+        const atEnd = playback.direction > 0 ? playback.time >= duration : playback.time <= 0;
+        if (!atEnd) return;
+        playback.paused = true;
+        if (playback.direction > 0) this._finishPlayback();
+    }
 
-            animate();
+    /**
+     * Resolve playAssemblyAnimation the first time the step has been fully assembled
+     */
+    _finishPlayback() {
+        const onFinish = this.playback?.onFinish;
+        if (!onFinish) return;
+        this.playback.onFinish = null;
+        onFinish();
+    }
+
+    _stopPlayback() {
+        const playback = this.playback;
+        if (!playback) return;
+        this.playback = null;
+        playback.unregister();
+        playback.unsubscribe?.();
+        playback.onStop();
+    }
+
+    /**
+     * Pose every clone for a point in the step timeline
+     * @param {number} time - Seconds since the start of the step animation
+     */
+    _applyTime(time) {
+        // An original animated by several tracks is swapped in once all of its clones are installed
+        const installedByOriginal = new Map();
+        this.animationClones.forEach(clone => {
+            const offsetData = this.animationOffsets.get(clone.uuid);
+            const { track } = offsetData;
+            const progress = THREE.MathUtils.clamp((time - track.start) / track.duration, 0, 1);
+            const installed = this._applyCloneProgress(clone, offsetData, time < track.start ? null : progress);
+            const original = offsetData.originalMesh;
+            installedByOriginal.set(original, (installedByOriginal.get(original) ?? true) && installed);
         });
+        installedByOriginal.forEach((installed, original) => this._setOriginalInstalled(original, installed));
+    }
+
+    /**
+     * Pose a clone along its motion (hidden once installed)
+     * @param {THREE.Mesh} clone - The cloned mesh
+     * @param {Object} offsetData - Entry of animationOffsets for the clone
+     * @param {number|null} progress - Linear progress of its track (null = not started yet)
+     * @returns {boolean} Whether the clone's track has finished
+     */
+    _applyCloneProgress(clone, offsetData, progress) {
+        const eased = progress === null ? 0 : offsetData.easing(progress);
+        const installed = progress !== null && progress >= 1;
+
+        // Update position, rotation and scale along the motion
+        offsetData.motion.apply(clone, offsetData.installed, eased);
+        clone.visible = progress !== null && !installed;
+
+        // Fade in opacity (clamped - overshooting easings leave 0..1)
+        if (clone.material) {
+            const materials = Array.isArray(clone.material) ? clone.material : [clone.material];
+            materials.forEach(mat => {
+                mat.opacity = THREE.MathUtils.clamp(eased, 0, 1);
+            });
+        }
+
+        return installed;
+    }
+
+    /**
+     * Swap an original in for its clones (or back out)
+     * @param {THREE.Mesh} original
+     * @param {boolean} installed
+     */
+    _setOriginalInstalled(original, installed) {
+        // Only when the installed state changes, so originals that share materials are not
+        // overwritten every frame by a part that is still moving
+        if (this.installedOriginals.has(original) === installed) return;
+        if (installed) {
+            this.installedOriginals.add(original);
+            original.visible = true;
+        } else {
+            this.installedOriginals.delete(original);
+        }
+        if (original.material) {
+            const materials = Array.isArray(original.material) ? original.material : [original.material];
+            materials.forEach(mat => {
+                mat.opacity = installed ? 1 : 0;
+            });
+        }
     }
 
     /**
      * Clear all animation clones from the scene
      */
     clearClones() {
+        this._stopPlayback();
         this.animationClones.forEach((clone, meshUuid) => {
             if (clone.parent) {
                 clone.parent.remove(clone);
@@ -261,9 +441,20 @@ export class AssemblyAnimator {
         });
         this.animationClones.clear();
         this.animationOffsets.clear();
+        this.installedOriginals.clear();
+        this.timeline = null;
         console.log('AssemblyAnimator: Cleared all animation clones');
     }
 
+    /**
+     * Drop clones and the loaded animation config (product unload)
+     */
+    dispose() {
+        this.clearClones();
+        this.animationConfig = null;
+        this.scene = null;
+    }
+
     /**
      * Clear all animation offsets (deprecated - use clearClones)
      */
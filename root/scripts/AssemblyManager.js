@@ -1,6 +1,28 @@
+import { CancellationToken, CancelledError } from './CancellationToken.js';
+import { BuildState } from './BuildState.js';
+
 /**
  * Manages the assembly sequence of 3D parts using step-based approach.
  * Coordinates outlining, visibility, and staging for step-by-step assembly.
+ *
+ * This is the single entry point for step lifecycle: StepCardsUI, the VR navigator
+ * and the debug GUI all call startStep/stopStep/nextStep/previousStep/goToStep here
+ * and listen to its events instead of driving the other managers directly.
+ *
+ * Events (subscribe with `on(event, callback)`):
+ * - `stepfocus`    { step, index } - a step was previewed (outline only)
+ * - `stepstart`    { step, index } - a step sequence started
+ * - `stepcomplete` { step, index } - a step sequence finished its assembly animation
+ * - `stepstop`     { step, index } - the current step was stopped and the scene restored
+ * - `reset`        {}              - the assembly was reset to its initial state
+ * - `buildstart`   { index }       - "play whole build" started (at step index)
+ * - `buildcomplete` {}             - "play whole build" finished the last step
+ * - `stepschange`  { stepId }      - steps were edited in place (StepEditor); stepId is the one being edited
+ * - `unload`       {}              - the product was unloaded (dispose)
+ *
+ * Every transition (focus, start, stop) cancels the previous one through a shared
+ * CancellationToken, so in-flight waits, fades, centering and clone animations stop
+ * before the scene is restored for the new step.
  */
 export class AssemblyManager {
     constructor(THREE, scene, gui) {
@@ -9,29 +31,66 @@ export class AssemblyManager {
         this.gui = gui;
 
         // Current state
-        this.current_step = 0;
+        this.current_step = -1; // index into assembly_config.steps, -1 when no step is active
         this.is_assembling = false;
+        this.is_building = false; // "play whole build" mode is running
+        this._resetBuildSettings();
+        this.build_state = null; // BuildState of the loaded config (created on first use)
         this.assembly_config = null;
         this.loaded_model = null;
 
-        if (gui) this.setupDebugUI();
+        // Managers coordinated by this class (provided in initialize)
+        this.outlineManager = null;
+        this.meshGroupLoader = null;
+        this.visibilityManager = null;
+        this.stagingManager = null;
+        this.stepStateStore = null;
+        this.tweenManager = null;
+        this.assemblyAnimator = null;
+
+        this.listeners = new Map();
+        this.debugFolder = null;
+
+        // Token of the transition currently running (cancelled by the next one)
+        this.transitionToken = null;
     }
 
     /**
      * Initialize the assembly manager with configuration and model
      * @param {string} assemblyConfigPath - Path to assembly sequence configuration (defines steps)
      * @param {Object3D} model - The loaded drone model (from ModelLoader or direct GLTFLoader)
+     * @param {Object} managers - { outlineManager, meshGroupLoader, visibilityManager, stagingManager, stepStateStore, assemblyAnimator, tweenManager }
      */
-    async initialize(assemblyConfigPath, model) {
+    async initialize(assemblyConfigPath, model, managers = {}) {
         try {
             // Load and parse assembly sequence config
             const response = await fetch(assemblyConfigPath);
             if (!response.ok) throw new Error(`Failed to load assembly config: ${response.status}`);
             this.assembly_config = await response.json();
+            if (!this.assembly_config.steps) this.assembly_config.steps = [];
+            const build = this.assembly_config.build || {};
+            if (typeof build.pauseBetweenSteps === 'number') this.build_step_pause = build.pauseBetweenSteps;
+            if (build.futureParts === 'hidden' || build.futureParts === 'ghost') this.build_future_mode = build.futureParts;
+            if (typeof build.ghostOpacity === 'number') this.build_ghost_opacity = build.ghostOpacity;
+            if (build.stepView === 'isolate' || build.stepView === 'build') this.step_view_mode = build.stepView;
+            this.build_state = null;
 
             // Store model reference
             this.loaded_model = model;
 
+            this.outlineManager = managers.outlineManager || null;
+            this.meshGroupLoader = managers.meshGroupLoader || null;
+            this.visibilityManager = managers.visibilityManager || null;
+            this.stagingManager = managers.stagingManager || null;
+            this.stepStateStore = managers.stepStateStore || null;
+            this.assemblyAnimator = managers.assemblyAnimator || null;
+            this.tweenManager = managers.tweenManager || null;
+
+            this.current_step = -1;
+            this.is_assembling = false;
+
+            if (this.gui) this.setupDebugUI();
+
             console.log('AssemblyManager: Initialization complete ✅');
         } catch (error) {
             console.error('AssemblyManager: Failed to initialize', error);
@@ -40,83 +99,604 @@ export class AssemblyManager {
     }
 
     /**
-     * Start a specific assembly step
+     * Build settings back to their defaults (AssemblyManager.json `build` overrides them per product)
+     */
+    _resetBuildSettings() {
+        this.build_step_pause = 1.0; // seconds between steps in build mode (AssemblyManager.json build.pauseBetweenSteps)
+        this.build_future_mode = 'hidden'; // future parts in build mode: 'hidden' | 'ghost' (build.futureParts)
+        this.build_ghost_opacity = 0.12; // opacity of ghosted future parts (build.ghostOpacity)
+        this.step_view_mode = 'isolate'; // startStep: 'isolate' (fade + center) | 'build' (cumulative, in place)
+    }
+
+    /**
+     * Unload the current product: cancel the running transition, drop clones, outline, debug GUI
+     * and config. Event listeners stay registered for the next product.
+     */
+    dispose() {
+        if (this.transitionToken) this.transitionToken.cancel();
+        this.transitionToken = null;
+        this.assemblyAnimator?.clearClones();
+        this.outlineManager?.clear();
+        if (this.debugFolder) {
+            this.debugFolder.destroy();
+            this.debugFolder = null;
+        }
+
+        this.current_step = -1;
+        this.is_assembling = false;
+        this.is_building = false;
+        this._resetBuildSettings();
+        this.build_state = null;
+        this.assembly_config = null;
+        this.loaded_model = null;
+
+        this.outlineManager = null;
+        this.meshGroupLoader = null;
+        this.visibilityManager = null;
+        this.stagingManager = null;
+        this.stepStateStore = null;
+        this.assemblyAnimator = null;
+        this.tweenManager = null;
+
+        console.log('AssemblyManager: Disposed');
+        this._emit('unload');
+    }
+
+    /**
+     * Subscribe to an assembly event
+     * @param {string} event - Event name (see class documentation)
+     * @param {Function} callback - Receives the event detail object
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(callback);
+    }
+
+    /**
+     * Unsubscribe from an assembly event
+     * @param {string} event
+     * @param {Function} callback
+     */
+    off(event, callback) {
+        this.listeners.get(event)?.delete(callback);
+    }
+
+    _emit(event, detail = {}) {
+        this.listeners.get(event)?.forEach(callback => {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.error(`AssemblyManager: "${event}" listener failed`, error);
+            }
+        });
+    }
+
+    /**
+     * @returns {Object[]} All steps from the config
+     */
+    getSteps() {
+        return this.assembly_config?.steps || [];
+    }
+
+    /**
+     * @param {string} stepId
+     * @returns {Object|null} The step config
+     */
+    getStep(stepId) {
+        return this.getSteps().find(s => s.id === stepId) || null;
+    }
+
+    /**
+     * Expose the current step metadata (for UI/debug)
+     * @returns {{step: Object|null, stepId: string|null, index: number, total: number, isAssembling: boolean, isBuilding: boolean}}
+     */
+    getStepState() {
+        const step = this.getSteps()[this.current_step] || null;
+        return {
+            step,
+            stepId: step ? step.id : null,
+            index: this.current_step,
+            total: this.getSteps().length,
+            isAssembling: this.is_assembling,
+            isBuilding: this.is_building
+        };
+    }
+
+    /**
+     * Resolve all meshes involved in a step (base meshes + assembled groups)
+     * @param {Object} step - The step configuration
+     * @returns {THREE.Mesh[]} Unique meshes
+     */
+    getStepMeshes(step) {
+        return this._resolveInvolved(step.involved);
+    }
+
+    /**
+     * Resolve the extra outline roles of a step (`outline.roles` in AssemblyManager.json)
+     * @param {Object} step - The step configuration
+     * @returns {Object[]} [{ role, meshes, color }] for OutlineManager.apply
+     */
+    getStepOutlineRoles(step) {
+        return (step.outline?.roles || []).map(entry => ({
+            role: entry.role,
+            color: entry.color,
+            meshes: this._resolveInvolved(entry)
+        }));
+    }
+
+    /**
+     * @param {Object} involved - { baseMeshes, assembledGroups }
+     * @returns {THREE.Mesh[]} Unique meshes
+     */
+    _resolveInvolved(involved) {
+        const meshes = new Set();
+        const baseMeshes = involved?.baseMeshes || [];
+        const assembledGroups = involved?.assembledGroups || [];
+
+        baseMeshes.forEach(name => {
+            this._resolveBaseMeshes(name).forEach(m => meshes.add(m));
+        });
+
+        assembledGroups.forEach(name => {
+            const assembledMeshes = this.meshGroupLoader?.getAssembledGroupMeshes(name);
+            if (assembledMeshes) {
+                assembledMeshes.forEach(m => meshes.add(m));
+            }
+        });
+
+        return Array.from(meshes);
+    }
+
+    /**
+     * Resolve a base name to its meshes
+     * @param {string} name - Base name from MeshGroups.json (or a raw node name)
+     * @returns {THREE.Mesh[]}
+     */
+    _resolveBaseMeshes(name) {
+        const groupMeshes = this.meshGroupLoader?.getMeshes(name);
+        if (groupMeshes) return groupMeshes;
+        // Not declared in MeshGroups.json: fall back to the name and its copies
+        return this.meshGroupLoader?.getMeshResolver()?.resolve(name) || [];
+    }
+
+    /**
+     * Preview a step: restore the scene and outline its meshes (no fade, staging or animation)
      * @param {string} stepId - The step ID from the config
      */
-    startStep(stepId) {
-        if (!this.assembly_config || !this.loaded_model) {
-            console.error('AssemblyManager: Not initialized');
+    async focusStep(stepId) {
+        if (!this._checkInitialized()) return;
+
+        const index = this.getSteps().findIndex(s => s.id === stepId);
+        if (index === -1) {
+            console.error(`AssemblyManager: Step "${stepId}" not found`);
             return;
         }
+        const step = this.getSteps()[index];
+        const token = this._beginTransition();
+        this.is_assembling = false;
 
-        const step = this.assembly_config.steps.find(s => s.id === stepId);
-        if (!step) {
+        try {
+            await this._restoreScene(token);
+        } catch (error) {
+            this._handleTransitionError(error, `focus of step "${stepId}"`);
+            return;
+        }
+
+        const meshes = this.getStepMeshes(step);
+        if (meshes.length === 0) {
+            console.warn(`AssemblyManager: No meshes found for step ${step.id}`);
+            return;
+        }
+
+        this.outlineManager?.apply(meshes, {
+            color: step.outline?.color,
+            blinking: step.outline?.blinking !== false,
+            blinkFreq: step.outline?.blinkFreq || 2.0,
+            roles: this.getStepOutlineRoles(step)
+        });
+
+        console.log(`AssemblyManager: Focused step "${stepId}" - ${meshes.length} meshes`);
+        this._emit('stepfocus', { step, index });
+    }
+
+    /**
+     * Start a specific assembly step
+     * (outline + fade non-involved + center involved + assembly animation)
+     * @param {string} stepId - The step ID from the config
+     */
+    async startStep(stepId) {
+        if (!this._checkInitialized()) return;
+
+        const index = this.getSteps().findIndex(s => s.id === stepId);
+        if (index === -1) {
             console.error(`AssemblyManager: Step "${stepId}" not found`);
             return;
         }
+        const step = this.getSteps()[index];
 
         console.log(`AssemblyManager: Starting step "${stepId}"`);
-        // TODO: Implement step execution (outline, hide, stage)
-        // Will integrate with OutlineManager, VisibilityManager, StagingManager
+        if (this.step_view_mode === 'build') {
+            // Earlier steps shown built, this step assembles in place
+            const buildToken = this._beginTransition();
+            try {
+                await this._playBuildStep(index, buildToken);
+            } catch (error) {
+                this._handleTransitionError(error, `step "${stepId}"`);
+            }
+            return;
+        }
+
+        const token = this._beginTransition();
+        this.current_step = index;
+        this.is_assembling = true;
+        this._emit('stepstart', { step, index });
+
+        try {
+            // Reset everything before applying new step
+            await this._restoreScene(token);
+
+            const meshes = this.getStepMeshes(step);
+            if (meshes.length === 0) {
+                console.warn(`AssemblyManager: No meshes found for step ${step.id}`);
+                this.is_assembling = false;
+                return;
+            }
+
+            this.stepStateStore?.beginStep(step.id, this.visibilityManager?.getAllMeshes() || [], this.outlineManager?.getState());
+
+            // Permanent outline (no blinking) while the sequence runs
+            this.outlineManager?.apply(meshes, {
+                color: step.outline?.color,
+                permanent: true,
+                roles: this.getStepOutlineRoles(step)
+            });
+
+            // Hold the outline briefly before isolating
+            await this.tweenManager.delay(step.visibility?.delay ?? 0.5, token);
+
+            // Hide/fade non-involved, stage involved, then fade involved (outline stays)
+            await this.visibilityManager?.isolate(meshes, step.visibility, token);
+            await this.stagingManager?.stage(meshes, step.staging, token);
+            await this.visibilityManager?.fadeOutInvolved(meshes, step.visibility?.duration ?? 0.5, token);
+
+            // Let the staged parts settle before playing the assembly animation
+            await this.tweenManager.delay(step.staging?.hold ?? 1, token);
+
+            // Play assembly animation on clones (originals stay at center with outline)
+            const stepAnimation = this.assemblyAnimator?.animationConfig?.[step.id];
+            if (stepAnimation) {
+                this.assemblyAnimator.createAnimationClones(stepAnimation, this.loaded_model, this.scene);
+                await this.assemblyAnimator.playAssemblyAnimation(step.id, this.loaded_model, token);
+            }
+        } catch (error) {
+            this._handleTransitionError(error, `step "${stepId}"`);
+            return;
+        }
+
+        this.is_assembling = false;
+        console.log(`AssemblyManager: Completed step "${stepId}"`);
+        this._emit('stepcomplete', { step, index });
+    }
+
+    /**
+     * Play every step in order, building the product up cumulatively: parts of completed steps
+     * stay in place and solid, parts of future steps stay hidden (or ghosted), and each step's animation
+     * installs its parts where they belong (no isolation or centering)
+     * @param {number} fromIndex - Step index to start from (earlier steps are shown as completed)
+     */
+    async playBuild(fromIndex = 0) {
+        if (!this._checkInitialized()) return;
+        const steps = this.getSteps();
+        if (fromIndex < 0 || fromIndex >= steps.length) {
+            console.warn(`AssemblyManager: No step at index ${fromIndex}`);
+            return;
+        }
+
+        console.log(`AssemblyManager: Playing whole build from step ${fromIndex + 1}`);
+        const token = this._beginTransition();
+        this.is_building = true;
+        this._emit('buildstart', { index: fromIndex });
+
+        try {
+            for (let index = fromIndex; index < steps.length; index++) {
+                await this._playBuildStep(index, token);
+                if (index < steps.length - 1) {
+                    await this.tweenManager.delay(this.build_step_pause, token);
+                }
+            }
+        } catch (error) {
+            if (this.transitionToken === token) this.is_building = false;
+            this._handleTransitionError(error, 'build');
+            return;
+        }
+
+        this.is_building = false;
+        console.log('AssemblyManager: Build complete');
+        this._emit('buildcomplete');
+    }
+
+    /**
+     * Play one step of the cumulative build: completed parts solid, future parts hidden or ghosted,
+     * the step's new parts outlined and animated into place
+     * @param {number} index - Step index
+     * @param {CancellationToken} token
+     */
+    async _playBuildStep(index, token) {
+        const step = this.getSteps()[index];
+        this.current_step = index;
+        this.is_assembling = true;
+        this._emit('stepstart', { step, index });
+
+        this.stepStateStore?.beginStep(step.id, this.visibilityManager?.getAllMeshes() || [], this.outlineManager?.getState());
+        this.assemblyAnimator?.clearClones();
+        this.outlineManager?.clear();
+        this.stagingManager?.unstage();
+
+        const stepAnimation = this.assemblyAnimator?.animationConfig?.[step.id];
+        if (stepAnimation) {
+            this.assemblyAnimator.createAnimationClones(stepAnimation, this.loaded_model, this.scene);
+        }
+
+        // Animated originals stay invisible until their clone reaches them
+        const state = this.getBuildState().getState(index);
+        if (state.prebuilt.length > 0) {
+            console.log(`AssemblyManager: Step "${step.id}" uses prebuilt ${state.prebuilt.join(', ')}`);
+        }
+        this.visibilityManager?.applyBuildState({
+            ...state,
+            pending: this.assemblyAnimator?.getAnimatedMeshes() || []
+        }, {
+            futureMode: this.build_future_mode,
+            ghostOpacity: this.build_ghost_opacity
+        });
+        this.outlineManager?.apply(state.current, {
+            color: step.outline?.color,
+            permanent: true,
+            roles: this.getStepOutlineRoles(step)
+        });
+
+        if (stepAnimation) {
+            await this.assemblyAnimator.playAssemblyAnimation(step.id, this.loaded_model, token);
+        }
+
+        this.is_assembling = false;
+        this._emit('stepcomplete', { step, index });
+    }
+
+    /**
+     * Build state over every step of the loaded config (which step installs which part)
+     * @returns {BuildState}
+     */
+    getBuildState() {
+        if (!this.build_state) {
+            this.build_state = new BuildState(
+                this.getSteps(),
+                this.meshGroupLoader,
+                this.visibilityManager?.getAllMeshes() || [],
+                name => this._resolveBaseMeshes(name)
+            );
+        }
+        return this.build_state;
+    }
+
+    /**
+     * Call after the loaded steps were edited in place (involved lists, order, ids, labels):
+     * drops the cached build state and rebuilds the step buttons of the debug GUI
+     * @param {Object} detail - { stepId } passed on to `stepschange` listeners
+     */
+    refreshSteps({ stepId = null } = {}) {
+        this.build_state = null;
+        if (this.gui && this.debugFolder) this.setupDebugUI();
+        this._emit('stepschange', { stepId });
+    }
+
+    /**
+     * Steps that resolve to no meshes (unknown base names or groups in AssemblyManager.json)
+     * @returns {string[]} One message per step
+     */
+    getStepWarnings() {
+        if (!this.assembly_config) return [];
+        const warnings = [];
+        this.getSteps().forEach((step, index) => {
+            if (this.getStepMeshes(step).length === 0) {
+                warnings.push(`Step ${index + 1} "${step.label || step.id}" resolves to no meshes`);
+            }
+        });
+        return warnings;
+    }
+
+    /**
+     * Parts a step installs (base names from the group hierarchy) and the earlier subassemblies it uses
+     * @param {string} stepId
+     * @returns {{baseNames: string[], prebuilt: string[]}}
+     */
+    getStepParts(stepId) {
+        const index = this.getSteps().findIndex(s => s.id === stepId);
+        if (index === -1) return { baseNames: [], prebuilt: [] };
+        return this.getBuildState().getStepParts(index);
+    }
+
+    /**
+     * Choose how startStep presents a step
+     * @param {string} mode - 'isolate' (fade others, center the step) or 'build' (cumulative, in place)
+     */
+    setStepViewMode(mode) {
+        if (mode !== 'isolate' && mode !== 'build') {
+            console.warn(`AssemblyManager: Unknown step view mode "${mode}"`);
+            return;
+        }
+        this.step_view_mode = mode;
     }
 
     /**
      * Stop the current step and restore scene
      */
-    stopStep() {
+    async stopStep() {
         console.log('AssemblyManager: Stopping current step');
-        // TODO: Clear outlines, restore visibility, unstage
+        const state = this.getStepState();
+        const token = this._beginTransition();
+        this.is_assembling = false;
+
+        try {
+            if (this.step_view_mode === 'build' && this.stepStateStore?.activeStep) {
+                // Build view: put the model back the way it was before the step began
+                this.assemblyAnimator?.clearClones();
+                const outline = this.stepStateStore.restoreStep(this.visibilityManager?.getAllMeshes() || []);
+                this.outlineManager?.restoreState(outline);
+            } else {
+                await this._restoreScene(token);
+            }
+        } catch (error) {
+            this._handleTransitionError(error, 'stop');
+            return;
+        }
+
+        if (state.step) {
+            this._emit('stepstop', { step: state.step, index: state.index });
+        }
     }
 
     /**
-     * Set up debug UI controls
+     * Jump to a step by index and start it
+     * @param {number} index - Zero-based step index
      */
-    setupDebugUI() {
-        const folder = this.gui.addFolder('Assembly Control');
-        
-        const controls = {
-            startAssembly: () => this.startAssembly(),
-            resetAssembly: () => this.resetAssembly(),
-            currentStep: 0
-        };
+    goToStep(index) {
+        const step = this.getSteps()[index];
+        if (!step) {
+            console.warn(`AssemblyManager: No step at index ${index}`);
+            return;
+        }
+        return this.startStep(step.id);
+    }
 
-        folder.add(controls, 'startAssembly').name('Start Assembly');
-        folder.add(controls, 'resetAssembly').name('Reset Assembly');
-        folder.add(controls, 'currentStep', 0, 10, 1)
-            .name('Current Step')
-            .onChange(value => {
-                this.current_step = value;
-            });
+    /**
+     * Start the step after the current one
+     */
+    nextStep() {
+        if (this.current_step >= this.getSteps().length - 1) {
+            console.log('AssemblyManager: Already at the last step');
+            return;
+        }
+        return this.goToStep(this.current_step + 1);
     }
 
     /**
-     * Reset the assembly to its initial state
+     * Start the step before the current one
      */
-    resetAssembly() {
-        this.is_assembling = false;
-        this.current_step = 0;
+    previousStep() {
+        if (this.current_step <= 0) {
+            console.log('AssemblyManager: Already at the first step');
+            return;
+        }
+        return this.goToStep(this.current_step - 1);
+    }
 
     /**
-     * Set up debug UI controls
-    //  */
-    // setupDebugUI() {
-    //     const folder = this.gui.addFolder('Assembly Steps');
-        
-    //     const controls = {
-    //         currentStep: 'step-01',
-    //         startStep: () => this.startStep(controls.currentStep),
-    //         stopStep: () => this.stopStep()
-    //     };
-
-    //     folder.add(controls, 'currentStep').name('Step ID');
-    //     folder.add(controls, 'startStep').name('Start Step');
-    //     folder.add(controls, 'stopStep').name('Stop Step');
-    // }
+     * Start the assembly from the first step
+     */
+    startAssembly() {
+        return this.goToStep(0);
+    }
+
+    /**
+     * Reset the assembly to its initial state
+     */
+    async resetAssembly() {
+        await this.stopStep();
+        this.is_assembling = false;
+        this.current_step = -1;
+        this._emit('reset');
+    }
 
     /**
      * Update method called each frame
      * @param {number} deltaTime - Time since last frame in seconds
-    //  */
-    // update(deltaTime) {
-    //     // TODO: Update blinking outlines, tweens, etc.
-    }}
\ No newline at end of file
+     */
+    update(deltaTime) {
+        if (this.outlineManager) {
+            this.outlineManager.update(deltaTime);
+        }
+    }
+
+    /**
+     * Cancel the running transition and create the token for the next one
+     * @returns {CancellationToken}
+     */
+    _beginTransition() {
+        if (this.transitionToken) this.transitionToken.cancel();
+        this.transitionToken = new CancellationToken();
+        this.is_building = false; // any other transition ends the build; playBuild sets it again
+        return this.transitionToken;
+    }
+
+    /**
+     * Cancellations are expected when the user switches steps; anything else is logged
+     * @param {Error} error
+     * @param {string} label - What was running
+     */
+    _handleTransitionError(error, label) {
+        if (CancelledError.is(error)) {
+            console.log(`AssemblyManager: Interrupted ${label}`);
+            return;
+        }
+        this.is_assembling = false;
+        console.error(`AssemblyManager: Failed ${label}`, error);
+    }
+
+    /**
+     * Restore the loaded state (transforms, visibility, materials, clones, outline) before a new step
+     * @param {CancellationToken} token - Token of the transition that requested the restore
+     */
+    async _restoreScene(token) {
+        this.assemblyAnimator?.clearClones();
+        this.outlineManager?.clear();
+        this.stagingManager?.unstage();
+        if (this.visibilityManager) {
+            await this.visibilityManager.restore(token);
+        }
+        this.stepStateStore?.clearStep();
+    }
+
+    _checkInitialized() {
+        if (!this.assembly_config || !this.loaded_model) {
+            console.error('AssemblyManager: Not initialized');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Set up debug UI controls
+     */
+    setupDebugUI() {
+        if (this.debugFolder) this.debugFolder.destroy();
+        const folder = this.gui.addFolder('Assembly Steps');
+        this.debugFolder = folder;
+
+        const controls = {
+            startAssembly: () => this.startAssembly(),
+            previousStep: () => this.previousStep(),
+            nextStep: () => this.nextStep(),
+            stopStep: () => this.stopStep(),
+            resetAssembly: () => this.resetAssembly(),
+            playBuild: () => this.playBuild(0)
+        };
+
+        folder.add(controls, 'startAssembly').name('Start Assembly');
+        folder.add(controls, 'previousStep').name('Previous Step');
+        folder.add(controls, 'nextStep').name('Next Step');
+        folder.add(controls, 'stopStep').name('Stop Step');
+        folder.add(controls, 'resetAssembly').name('Reset Assembly');
+        folder.add(controls, 'playBuild').name('▶ Play Whole Build');
+        folder.add(this, 'build_step_pause', 0, 5, 0.1).name('Pause Between Steps (s)');
+        folder.add(this, 'step_view_mode', ['isolate', 'build']).name('Step View');
+        folder.add(this, 'build_future_mode', ['hidden', 'ghost']).name('Future Parts');
+        folder.add(this, 'build_ghost_opacity', 0, 0.5, 0.01).name('Ghost Opacity');
+
+        this.getSteps().forEach((step, index) => {
+            const key = `step${index}`;
+            controls[key] = () => this.startStep(step.id);
+            folder.add(controls, key).name(`${index + 1}. ${step.label || step.id}`);
+        });
+    }
+}
@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+
+const AXIS_MAP = {
+    '+X': [1, 0, 0], '-X': [-1, 0, 0], 'X': [1, 0, 0],
+    '+Y': [0, 1, 0], '-Y': [0, -1, 0], 'Y': [0, 1, 0],
+    '+Z': [0, 0, 1], '-Z': [0, 0, -1], 'Z': [0, 0, 1]
+};
+
+/**
+ * Motion of one mesh from its exploded pose into its installed pose.
+ * Built from an AssemblyAnimations.json entry and stored as keyframes relative to the installed pose
+ * (offset in parent space, rotation about an axis through the mesh origin, scale factor).
+ * The last keyframe is always the installed pose, so every motion ends exactly where the part belongs.
+ *
+ * Supported entry fields (all optional, combinable):
+ * - `direction` ("+X".."-Z" or [x, y, z]) + `offset`: linear approach along the direction
+ * - `rotation`: { axis, turns | degrees } spin while approaching (axis defaults to the direction)
+ * - `scaleFrom`: number or [x, y, z] scale at the start of the motion
+ * - `path`: [{ t, offset, rotation, scale }, ...] multi-keyframe motion (replaces the fields above;
+ *   `rotation` angles are absolute, a keyframe at t=1 is forced to the installed pose)
+ * - `easing`: TweenManager easing name for the whole motion
+ */
+export class AssemblyMotion {
+    /**
+     * @param {Object[]} keyframes - Normalized keyframes sorted by t (see fromConfig)
+     */
+    constructor(keyframes) {
+        this.keyframes = keyframes;
+
+        this._quaternion = new THREE.Quaternion();
+        this._quaternionB = new THREE.Quaternion();
+        this._offset = new THREE.Vector3();
+        this._scale = new THREE.Vector3();
+    }
+
+    /**
+     * Parse a direction or axis into a unit vector
+     * @param {string|number[]} value - Axis string (+X, -X, +Y, -Y, +Z, -Z, X, Y, Z) or [x, y, z]
+     * @returns {THREE.Vector3|null} Unit vector, or null if the value is missing/invalid
+     */
+    static parseAxis(value) {
+        const components = Array.isArray(value) ? value : AXIS_MAP[value];
+        if (!components || components.length !== 3) return null;
+        const axis = new THREE.Vector3().fromArray(components);
+        return axis.lengthSq() > 0 ? axis.normalize() : null;
+    }
+
+    /**
+     * Build a motion from an animation entry
+     * @param {Object} animConfig - Entry from AssemblyAnimations.json
+     * @returns {AssemblyMotion}
+     */
+    static fromConfig(animConfig) {
+        const direction = AssemblyMotion.parseAxis(animConfig.direction);
+
+        if (Array.isArray(animConfig.path) && animConfig.path.length > 0) {
+            return new AssemblyMotion(AssemblyMotion._parsePath(animConfig.path, direction));
+        }
+
+        // Single approach: exploded pose at t=0, installed pose at t=1
+        const offset = animConfig.offset || 0.5;
+        const start = {
+            t: 0,
+            // Start opposite the direction so the part travels along it into place
+            offset: direction ? direction.clone().multiplyScalar(-offset) : new THREE.Vector3(),
+            ...AssemblyMotion._parseRotation(animConfig.rotation, direction, -1),
+            scale: AssemblyMotion._parseScale(animConfig.scaleFrom)
+        };
+        return new AssemblyMotion([start, AssemblyMotion._installedKeyframe(1, start.axis)]);
+    }
+
+    static _parsePath(path, direction) {
+        const keyframes = path.map((frame, index) => {
+            const offset = Array.isArray(frame.offset)
+                ? new THREE.Vector3().fromArray(frame.offset)
+                : new THREE.Vector3();
+            return {
+                t: frame.t ?? index / Math.max(path.length - 1, 1),
+                offset,
+                ...AssemblyMotion._parseRotation(frame.rotation, direction, 1),
+                scale: AssemblyMotion._parseScale(frame.scale)
+            };
+        }).sort((a, b) => a.t - b.t);
+
+        // Always end in the installed pose
+        const last = keyframes[keyframes.length - 1];
+        if (last.t < 1) {
+            keyframes.push(AssemblyMotion._installedKeyframe(1, last.axis));
+        } else {
+            Object.assign(last, AssemblyMotion._installedKeyframe(last.t, last.axis));
+        }
+        return keyframes;
+    }
+
+    /**
+     * @param {Object} rotation - { axis, turns | degrees }
+     * @param {THREE.Vector3|null} axisDefault - Axis used when none is given
+     * @param {number} sign - -1 for "rotate into place by this amount" (start pose), 1 for absolute angles
+     * @returns {{axis: THREE.Vector3|null, angle: number}}
+     */
+    static _parseRotation(rotation, axisDefault, sign) {
+        if (!rotation) return { axis: null, angle: 0 };
+        const axis = AssemblyMotion.parseAxis(rotation.axis) || axisDefault?.clone() || new THREE.Vector3(0, 1, 0);
+        const angle = rotation.turns !== undefined
+            ? rotation.turns * Math.PI * 2
+            : THREE.MathUtils.degToRad(rotation.degrees || 0);
+        return { axis, angle: sign * angle };
+    }
+
+    static _parseScale(scale) {
+        if (Array.isArray(scale)) return new THREE.Vector3().fromArray(scale);
+        const factor = typeof scale === 'number' ? scale : 1;
+        return new THREE.Vector3(factor, factor, factor);
+    }
+
+    static _installedKeyframe(t, axis) {
+        return { t, offset: new THREE.Vector3(), axis: axis || null, angle: 0, scale: new THREE.Vector3(1, 1, 1) };
+    }
+
+    /**
+     * Pose an object at a point of the motion
+     * @param {THREE.Object3D} object - Object to pose (e.g. the animation clone)
+     * @param {Object} installed - { position, quaternion, scale } of the installed pose (parent space)
+     * @param {number} progress - Eased progress (0 = exploded, 1 = installed)
+     */
+    apply(object, installed, progress) {
+        const keyframes = this.keyframes;
+        const t = THREE.MathUtils.clamp(progress, keyframes[0].t, keyframes[keyframes.length - 1].t);
+
+        // Find the segment containing t
+        let index = 0;
+        while (index < keyframes.length - 2 && t > keyframes[index + 1].t) index++;
+        const a = keyframes[index];
+        const b = keyframes[Math.min(index + 1, keyframes.length - 1)];
+        const span = b.t - a.t;
+        const alpha = span > 0 ? (t - a.t) / span : 1;
+
+        this._offset.lerpVectors(a.offset, b.offset, alpha);
+        this._scale.lerpVectors(a.scale, b.scale, alpha);
+        this._interpolateRotation(a, b, alpha);
+
+        object.position.copy(installed.position).add(this._offset);
+        object.quaternion.copy(installed.quaternion).premultiply(this._quaternion);
+        object.scale.copy(installed.scale).multiply(this._scale);
+    }
+
+    _interpolateRotation(a, b, alpha) {
+        const axisA = a.axis || b.axis;
+        const axisB = b.axis || a.axis;
+        if (!axisA) {
+            this._quaternion.identity();
+            return;
+        }
+
+        // Same axis: interpolate the angle so multi-turn spins keep all their revolutions
+        if (axisA.equals(axisB)) {
+            this._quaternion.setFromAxisAngle(axisA, THREE.MathUtils.lerp(a.angle, b.angle, alpha));
+            return;
+        }
+
+        // Different axes: shortest-path blend between the two orientations
+        this._quaternion.setFromAxisAngle(axisA, a.angle);
+        this._quaternionB.setFromAxisAngle(axisB, b.angle);
+        this._quaternion.slerp(this._quaternionB, alpha);
+    }
+}
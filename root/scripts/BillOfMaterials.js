@@ -0,0 +1,149 @@
+// CSV columns of an exported bill of materials (row field, header)
+const CSV_COLUMNS = [
+    ['stepNumber', 'Step'],
+    ['stepLabel', 'Step Label'],
+    ['name', 'Part'],
+    ['partNumber', 'Part Number'],
+    ['quantity', 'Quantity'],
+    ['baseName', 'Base Name'],
+    ['assembledGroup', 'Assembled Group'],
+    ['material', 'Material'],
+    ['torque', 'Torque'],
+    ['notes', 'Notes']
+];
+
+/**
+ * Bill of materials generated from the loaded product: one row per MeshGroups.json base part with
+ * its counted quantity (the `_N` mesh variants MeshGroupLoader discovered), the step that installs it,
+ * the assembled group it belongs to and its PartsCatalog metadata.
+ * Rows are ordered by step; parts no step installs come last.
+ */
+export class BillOfMaterials {
+    /**
+     * @param {MeshGroupLoader} meshGroupLoader - Base parts and group hierarchy
+     * @param {AssemblyManager} assemblyManager - Steps and build state
+     * @param {PartsCatalog} catalog - Optional part metadata
+     */
+    constructor(meshGroupLoader, assemblyManager, catalog = null) {
+        this.meshGroupLoader = meshGroupLoader;
+        this.assemblyManager = assemblyManager;
+        this.catalog = catalog;
+        this.rows = null;
+    }
+
+    /**
+     * Rows for every base part (cached until invalidate())
+     * @returns {Object[]} [{ baseName, name, partNumber, quantity, material, torque, notes,
+     *                       stepIndex, stepNumber, stepId, stepLabel, assembledGroup }]
+     */
+    getRows() {
+        if (!this.rows) this.rows = this._build();
+        return this.rows;
+    }
+
+    /**
+     * @param {number} index - Step index
+     * @returns {Object[]} Rows of the parts the step installs
+     */
+    getStepRows(index) {
+        return this.getRows().filter(row => row.stepIndex === index);
+    }
+
+    /**
+     * @param {string} baseName
+     * @returns {Object|null} Row of a base part
+     */
+    getRow(baseName) {
+        return this.getRows().find(row => row.baseName === baseName) || null;
+    }
+
+    /**
+     * Drop the cached rows (after the model, groups, steps or catalogue changed)
+     */
+    invalidate() {
+        this.rows = null;
+    }
+
+    _build() {
+        const steps = this.assemblyManager.getSteps();
+        const buildState = this.assemblyManager.getBuildState();
+
+        const rows = this.meshGroupLoader.getBaseNames().map(baseName => {
+            const part = this.catalog
+                ? this.catalog.describe(baseName)
+                : { name: baseName, partNumber: null, quantity: null, material: null, torque: null, notes: null };
+            const stepIndex = buildState.getInstallingStepByName(baseName);
+            const step = steps[stepIndex] || null;
+            const counted = this.meshGroupLoader.getMeshes(baseName)?.length || 0;
+
+            return {
+                baseName,
+                name: part.name,
+                partNumber: part.partNumber,
+                quantity: part.quantity ?? counted,
+                material: part.material,
+                torque: part.torque,
+                notes: part.notes,
+                stepIndex,
+                stepNumber: step ? stepIndex + 1 : null,
+                stepId: step ? step.id : null,
+                stepLabel: step ? step.label || step.id : null,
+                assembledGroup: this.meshGroupLoader.getParentGroups(baseName)[0] || null
+            };
+        });
+
+        // By step, unassigned parts last, then by part name
+        const order = row => (row.stepIndex === -1 ? Infinity : row.stepIndex);
+        rows.sort((a, b) => order(a) - order(b) || a.name.localeCompare(b.name) || a.baseName.localeCompare(b.baseName));
+
+        console.log(`BillOfMaterials: ${rows.length} base parts, ${rows.reduce((sum, row) => sum + row.quantity, 0)} pieces`);
+        return rows;
+    }
+
+    /**
+     * @param {Object[]} rows
+     * @returns {string} CSV with a header row (RFC 4180 quoting)
+     */
+    static toCSV(rows) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [CSV_COLUMNS.map(([, header]) => escape(header)).join(',')];
+        rows.forEach(row => {
+            lines.push(CSV_COLUMNS.map(([field]) => escape(row[field])).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * @param {Object[]} rows
+     * @param {Object} meta - Extra top-level fields (e.g. { product, step })
+     * @returns {string}
+     */
+    static toJSON(rows, meta = {}) {
+        return JSON.stringify({
+            ...meta,
+            generatedAt: new Date().toISOString(),
+            totalPieces: rows.reduce((sum, row) => sum + row.quantity, 0),
+            parts: rows.map(({ stepIndex, ...row }) => row)
+        }, null, 2);
+    }
+
+    /**
+     * Save text as a file in the browser
+     * @param {string} filename
+     * @param {string} content
+     * @param {string} type - MIME type
+     */
+    static download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
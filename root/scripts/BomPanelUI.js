@@ -0,0 +1,166 @@
+import { BillOfMaterials } from './BillOfMaterials.js';
+
+/**
+ * Bill-of-materials view: a table of the product's parts (all steps or one step) with CSV/JSON
+ * export and a printable kit checklist. Backed by #bomPanel and the #bomToggle button in index.html.
+ */
+export class BomPanelUI {
+    constructor() {
+        this.container = document.getElementById('bomPanel');
+        this.toggleButton = document.getElementById('bomToggle');
+        this.bom = null;
+        this.productId = 'product';
+        this.steps = [];
+        this._listening = false;
+
+        if (!this.container) return;
+        this.stepSelect = this.container.querySelector('.bom-step-select');
+        this.tableBody = this.container.querySelector('.bom-table tbody');
+        this.summary = this.container.querySelector('.bom-summary');
+        this.titleElement = this.container.querySelector('.bom-title');
+    }
+
+    /**
+     * @param {BillOfMaterials} bom - Bill of materials of the loaded product
+     * @param {Object[]} steps - Steps of the loaded product
+     * @param {string} productId - Used in export file names and the print title
+     */
+    initialize(bom, steps, productId) {
+        if (!this.container) {
+            console.warn('BomPanelUI: Container not found');
+            return;
+        }
+        this.bom = bom;
+        this.steps = steps;
+        this.productId = productId || 'product';
+
+        this._renderStepOptions();
+        if (this.toggleButton) this.toggleButton.style.display = 'block';
+        if (this.container.style.display !== 'none') this.render();
+
+        if (this._listening) return;
+        this._listening = true;
+
+        this.toggleButton?.addEventListener('click', () => this.toggle());
+        this.stepSelect.addEventListener('change', () => this.render());
+        this.container.querySelector('[data-action="close"]').addEventListener('click', () => this.hide());
+        this.container.querySelector('[data-action="csv"]').addEventListener('click', () => this.exportCSV());
+        this.container.querySelector('[data-action="json"]').addEventListener('click', () => this.exportJSON());
+        this.container.querySelector('[data-action="print"]').addEventListener('click', () => this.print());
+    }
+
+    /**
+     * Hide the panel and its button until the next product is loaded
+     */
+    dispose() {
+        this.hide();
+        if (this.toggleButton) this.toggleButton.style.display = 'none';
+        this.bom = null;
+        this.steps = [];
+    }
+
+    toggle() {
+        if (this.container.style.display === 'none') {
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    show() {
+        if (!this.container || !this.bom) return;
+        this.render();
+        this.container.style.display = 'flex';
+    }
+
+    hide() {
+        if (this.container) this.container.style.display = 'none';
+    }
+
+    /**
+     * @returns {number|null} Selected step index, null for the whole product
+     */
+    getSelectedStep() {
+        const value = this.stepSelect.value;
+        return value === 'all' ? null : parseInt(value, 10);
+    }
+
+    /**
+     * @returns {Object[]} Rows of the current selection
+     */
+    getSelectedRows() {
+        const index = this.getSelectedStep();
+        return index === null ? this.bom.getRows() : this.bom.getStepRows(index);
+    }
+
+    render() {
+        if (!this.bom) return;
+        const rows = this.getSelectedRows();
+        const index = this.getSelectedStep();
+
+        this.titleElement.textContent = index === null
+            ? `Bill of Materials — ${this.productId}`
+            : `Kit — Step ${index + 1}: ${this.steps[index]?.label || this.steps[index]?.id}`;
+
+        this.tableBody.replaceChildren(...rows.map(row => {
+            const tr = document.createElement('tr');
+            [
+                '☐',
+                row.stepNumber ?? '—',
+                row.name,
+                row.partNumber || '',
+                row.quantity,
+                row.assembledGroup || '',
+                row.torque || ''
+            ].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            tr.title = row.baseName;
+            return tr;
+        }));
+
+        const pieces = rows.reduce((sum, row) => sum + row.quantity, 0);
+        this.summary.textContent = `${rows.length} part${rows.length !== 1 ? 's' : ''}, ${pieces} piece${pieces !== 1 ? 's' : ''}`;
+    }
+
+    exportCSV() {
+        BillOfMaterials.download(`${this._fileBaseName()}.csv`, BillOfMaterials.toCSV(this.getSelectedRows()), 'text/csv');
+    }
+
+    exportJSON() {
+        const index = this.getSelectedStep();
+        const meta = { product: this.productId };
+        if (index !== null) meta.step = this.steps[index]?.id;
+        BillOfMaterials.download(`${this._fileBaseName()}.json`, BillOfMaterials.toJSON(this.getSelectedRows(), meta), 'application/json');
+    }
+
+    /**
+     * Print the current table as a kit checklist (print styles hide everything else)
+     */
+    print() {
+        document.body.classList.add('printing-bom');
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-bom'), { once: true });
+        window.print();
+    }
+
+    _fileBaseName() {
+        const index = this.getSelectedStep();
+        const step = index === null ? null : this.steps[index];
+        return step ? `${this.productId}-bom-${step.id}` : `${this.productId}-bom`;
+    }
+
+    _renderStepOptions() {
+        const all = document.createElement('option');
+        all.value = 'all';
+        all.textContent = 'All steps';
+        const options = this.steps.map((step, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `Step ${index + 1}: ${step.label || step.id}`;
+            return option;
+        });
+        this.stepSelect.replaceChildren(all, ...options);
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Cumulative build state across the assembly steps.
+ * Every mesh is "installed by" the first step that brings it in, derived from step order and
+ * the assembled-group hierarchy in MeshGroupLoader: when a step's group contains a group (or base
+ * name) an earlier step already installed, that whole subtree counts as a prebuilt subassembly.
+ * For a step index the meshes then split into `completed` (earlier steps), `current` (this step)
+ * and `future` (later steps, or not part of any step).
+ */
+export class BuildState {
+    /**
+     * @param {Object[]} steps - Steps from AssemblyManager.json, in order
+     * @param {MeshGroupLoader} meshGroupLoader - Provides the group hierarchy
+     * @param {THREE.Mesh[]} allMeshes - Every mesh that takes part in the build
+     * @param {Function} resolveName - (name) => THREE.Mesh[] for names that are not assembled groups
+     */
+    constructor(steps, meshGroupLoader, allMeshes, resolveName) {
+        this.steps = steps;
+        this.meshGroupLoader = meshGroupLoader;
+        this.allMeshes = allMeshes;
+        this.resolveName = resolveName;
+
+        this.installedBy = new Map(); // mesh -> step index
+        this.groupInstalledBy = new Map(); // group/base name -> step index
+        this.prebuilt = steps.map(() => new Set()); // per step: names of earlier subassemblies it uses
+        this.baseNames = steps.map(() => []); // per step: base names it installs (leaves of the hierarchy)
+
+        this.steps.forEach((step, index) => {
+            const names = [
+                ...(step.involved?.baseMeshes || []),
+                ...(step.involved?.assembledGroups || [])
+            ];
+            names.forEach(name => this._install(name, index));
+        });
+    }
+
+    _install(name, index) {
+        const installedBy = this.groupInstalledBy.get(name);
+        if (installedBy !== undefined) {
+            if (installedBy < index) this.prebuilt[index].add(name);
+            return;
+        }
+        this.groupInstalledBy.set(name, index);
+
+        const elements = this.meshGroupLoader?.getGroupElements(name);
+        if (elements) {
+            elements.forEach(element => this._install(element, index));
+            return;
+        }
+
+        this.baseNames[index].push(name);
+        (this.resolveName(name) || []).forEach(mesh => {
+            if (!this.installedBy.has(mesh)) this.installedBy.set(mesh, index);
+        });
+    }
+
+    /**
+     * @param {THREE.Mesh} mesh
+     * @returns {number} Index of the step that installs the mesh, -1 if no step does
+     */
+    getInstallingStep(mesh) {
+        return this.installedBy.has(mesh) ? this.installedBy.get(mesh) : -1;
+    }
+
+    /**
+     * @param {string} name - Base name or assembled group name
+     * @returns {number} Index of the first step that installs it, -1 if no step does
+     */
+    getInstallingStepByName(name) {
+        return this.groupInstalledBy.has(name) ? this.groupInstalledBy.get(name) : -1;
+    }
+
+    /**
+     * Parts a step installs itself (subassemblies built in earlier steps are listed separately)
+     * @param {number} index - Step index
+     * @returns {{baseNames: string[], prebuilt: string[]}}
+     */
+    getStepParts(index) {
+        return {
+            baseNames: (this.baseNames[index] || []).slice(),
+            prebuilt: Array.from(this.prebuilt[index] || [])
+        };
+    }
+
+    /**
+     * @param {number} index - Step index
+     * @returns {{completed: THREE.Mesh[], current: THREE.Mesh[], future: THREE.Mesh[], prebuilt: string[]}}
+     */
+    getState(index) {
+        const completed = [];
+        const current = [];
+        const future = [];
+
+        // Meshes resolved outside MeshGroups.json still belong to the build
+        const meshes = new Set([...this.allMeshes, ...this.installedBy.keys()]);
+        meshes.forEach(mesh => {
+            const installedBy = this.getInstallingStep(mesh);
+            if (installedBy === -1 || installedBy > index) {
+                future.push(mesh);
+            } else if (installedBy < index) {
+                completed.push(mesh);
+            } else {
+                current.push(mesh);
+            }
+        });
+
+        return {
+            completed,
+            current,
+            future,
+            prebuilt: Array.from(this.prebuilt[index] || [])
+        };
+    }
+}
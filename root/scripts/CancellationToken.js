@@ -0,0 +1,61 @@
+/**
+ * Rejection reason used when an operation is aborted through a CancellationToken
+ */
+export class CancelledError extends Error {
+    constructor(message = 'Operation cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+
+    /**
+     * @param {*} error
+     * @returns {boolean} True if the error comes from a cancellation
+     */
+    static is(error) {
+        return error instanceof CancelledError;
+    }
+}
+
+/**
+ * Shared cancellation token for step transitions.
+ * AssemblyManager creates one token per step sequence and passes it to every delay,
+ * fade, centering tween and clone animation; cancelling it aborts all of them at once.
+ */
+export class CancellationToken {
+    constructor() {
+        this.isCancelled = false;
+        this._callbacks = new Set();
+    }
+
+    /**
+     * Cancel the token and notify all subscribers (only the first call has an effect)
+     */
+    cancel() {
+        if (this.isCancelled) return;
+        this.isCancelled = true;
+        const callbacks = Array.from(this._callbacks);
+        this._callbacks.clear();
+        callbacks.forEach(callback => callback());
+    }
+
+    /**
+     * Register a callback invoked on cancellation (immediately if already cancelled)
+     * @param {Function} callback
+     * @returns {Function} Unsubscribe function
+     */
+    onCancel(callback) {
+        if (this.isCancelled) {
+            callback();
+            return () => {};
+        }
+        this._callbacks.add(callback);
+        return () => this._callbacks.delete(callback);
+    }
+
+    /**
+     * @throws {CancelledError} If the token has been cancelled
+     */
+    throwIfCancelled() {
+        if (this.isCancelled) throw new CancelledError();
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * In-app view of a ConfigValidator (or CoverageAnalyzer) result: issues grouped by config file,
+ * errors first. Backed by the #configReport element in index.html.
+ */
+export class ConfigReportUI {
+    constructor() {
+        this.container = document.getElementById('configReport');
+        this.onHide = null;
+        this._listening = false;
+
+        if (!this.container) return;
+        this.titleElement = this.container.querySelector('.config-report-title');
+        this.summaryElement = this.container.querySelector('.config-report-summary');
+        this.bodyElement = this.container.querySelector('.config-report-body');
+    }
+
+    /**
+     * Show a validation result
+     * @param {Object} result - { issues, errors, warnings } from ConfigValidator.validate
+     * @param {string} productId - Shown in the title
+     * @param {Object} options - { title, onHide } onHide is called once when the report is closed
+     */
+    show(result, productId, { title = 'Config report', onHide = null } = {}) {
+        if (!this.container) {
+            console.warn('ConfigReportUI: Container not found');
+            return;
+        }
+        if (!this._listening) {
+            this._listening = true;
+            this.container.querySelector('[data-action="close"]').addEventListener('click', () => this.hide());
+        }
+
+        // A new report replaces the previous one, which counts as closing it
+        this._notifyHide();
+        this.onHide = onHide;
+
+        this.titleElement.textContent = `${title} — ${productId || 'product'}`;
+        this.summaryElement.textContent = result.issues.length === 0
+            ? 'No problems found'
+            : `${result.errors} error${result.errors !== 1 ? 's' : ''}, ${result.warnings} warning${result.warnings !== 1 ? 's' : ''}`;
+        this.summaryElement.dataset.state = result.errors > 0 ? 'error' : result.warnings > 0 ? 'warning' : 'ok';
+
+        const byFile = new Map();
+        result.issues.forEach(issue => {
+            if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+            byFile.get(issue.file).push(issue);
+        });
+
+        this.bodyElement.replaceChildren(...Array.from(byFile, ([file, issues]) => {
+            const section = document.createElement('section');
+            const heading = document.createElement('h3');
+            heading.className = 'config-report-file';
+            heading.textContent = `${file} (${issues.length})`;
+
+            const list = document.createElement('ul');
+            list.className = 'config-report-list';
+            issues
+                .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1))
+                .forEach(issue => {
+                    const item = document.createElement('li');
+                    item.className = `config-report-issue ${issue.severity}`;
+                    const path = document.createElement('code');
+                    path.textContent = issue.path || '—';
+                    item.append(path, ` ${issue.message}`);
+                    list.appendChild(item);
+                });
+
+            section.append(heading, list);
+            return section;
+        }));
+
+        this.container.style.display = 'flex';
+    }
+
+    hide() {
+        if (this.container) this.container.style.display = 'none';
+        this._notifyHide();
+    }
+
+    _notifyHide() {
+        const onHide = this.onHide;
+        this.onHide = null;
+        if (onHide) onHide();
+    }
+}
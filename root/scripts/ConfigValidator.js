@@ -0,0 +1,433 @@
+import { MeshResolver } from './MeshResolver.js';
+
+// Config files of a product, by the key validate() takes them under
+const CONFIG_FILES = {
+    meshGroups: 'MeshGroups.json',
+    assembly: 'AssemblyManager.json',
+    animations: 'AssemblyAnimations.json'
+};
+
+/**
+ * Validates a product's MeshGroups.json, AssemblyManager.json and AssemblyAnimations.json:
+ * each file against its JSON Schema (jsons/schemas/), then the references between them and,
+ * when the model (or just its mesh names) is given, against the model.
+ *
+ * Has no three.js or DOM dependency, so the same checks run in the app (ConfigReportUI) and
+ * headlessly from tools/validate-config.mjs.
+ *
+ * Issues: { severity: 'error' | 'warning', file, path, message }
+ */
+export class ConfigValidator {
+    /**
+     * @param {Object} schemas - { meshGroups, assembly, animations } JSON Schemas (see loadSchemas)
+     */
+    constructor(schemas = {}) {
+        this.schemas = schemas;
+    }
+
+    /**
+     * Load the three schemas
+     * @param {Function} readJson - async (path) => parsed JSON (fetch in the browser, fs in Node)
+     * @param {string} schemaDir - Directory of the *.schema.json files
+     * @returns {Promise<Object>} { meshGroups, assembly, animations }
+     */
+    static async loadSchemas(readJson, schemaDir = 'jsons/schemas') {
+        const schemas = {};
+        await Promise.all(Object.entries(CONFIG_FILES).map(async ([key, file]) => {
+            schemas[key] = await readJson(`${schemaDir}/${file.replace(/\.json$/, '.schema.json')}`);
+        }));
+        return schemas;
+    }
+
+    /**
+     * @param {Object} configs - { meshGroups, assembly, animations } parsed config files (missing ones are reported)
+     * @param {MeshResolver|string[]|null} model - Resolver over the loaded GLB, or the names of its meshes
+     *        (no hierarchy: path and subtree selectors match nothing); null skips the model checks
+     * @returns {{issues: Object[], errors: number, warnings: number}}
+     */
+    validate(configs, model = null) {
+        const issues = [];
+        const report = (severity, key, path, message) => {
+            issues.push({ severity, file: CONFIG_FILES[key], path, message });
+        };
+
+        let schemaValid = true;
+        Object.keys(CONFIG_FILES).forEach(key => {
+            if (configs[key] === undefined || configs[key] === null) {
+                report('error', key, '', 'File missing or not loaded');
+                schemaValid = false;
+                return;
+            }
+            if (!this.schemas[key]) return;
+            ConfigValidator.validateSchema(configs[key], this.schemas[key]).forEach(({ path, message }) => {
+                report('error', key, path, message);
+                schemaValid = false;
+            });
+        });
+
+        // Cross-references assume the documented shape
+        if (schemaValid) {
+            const meshResolver = Array.isArray(model) ? MeshResolver.fromNames(model) : model;
+            const resolver = this._createResolver(configs.meshGroups, meshResolver);
+            this._checkMeshGroups(configs.meshGroups, resolver, report);
+            this._checkAssembly(configs.assembly, resolver, report);
+            this._checkAnimations(configs.animations, configs.assembly, resolver, report);
+        }
+
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        return { issues, errors, warnings: issues.length - errors };
+    }
+
+    /**
+     * Name lookups shared by the cross-reference checks
+     * @param {Object} meshGroups - MeshGroups.json
+     * @param {MeshResolver|null} meshResolver
+     */
+    _createResolver(meshGroups, meshResolver) {
+        const entries = new Map();
+        meshGroups.baseNames.forEach(entry => {
+            const name = MeshResolver.entryName(entry);
+            if (!entries.has(name)) entries.set(name, entry);
+        });
+        const groups = new Map();
+        (meshGroups.assembledGroups || []).forEach(group => {
+            if (!groups.has(group.name)) groups.set(group.name, group.groups);
+        });
+
+        // Same matching as MeshGroupLoader: declared entries with their selectors, other names with their copies
+        const meshesOfBase = name => {
+            if (!meshResolver) return [];
+            return entries.has(name)
+                ? meshResolver.resolveEntry(entries.get(name), meshGroups.exclude)
+                : meshResolver.resolve(name);
+        };
+
+        // Base names and groups a name stands for (itself included), cycles cut
+        const expand = (name, seen = new Set()) => {
+            if (seen.has(name)) return seen;
+            seen.add(name);
+            (groups.get(name) || []).forEach(element => expand(element, seen));
+            return seen;
+        };
+
+        return {
+            hasModel: !!meshResolver,
+            isBase: name => entries.has(name),
+            isGroup: name => groups.has(name),
+            isMesh: name => !!meshResolver && meshResolver.nodes.some(node => node.isMesh && node.names.includes(name)),
+            groups,
+            meshesOfBase,
+            expand,
+            // GLB meshes a base name or group resolves to
+            meshes: name => {
+                const meshes = new Set();
+                expand(name).forEach(element => {
+                    if (!groups.has(element)) meshesOfBase(element).forEach(mesh => meshes.add(mesh));
+                });
+                return meshes;
+            }
+        };
+    }
+
+    _checkMeshGroups(config, resolver, report) {
+        const seenBases = new Set();
+        config.baseNames.forEach((entry, index) => {
+            const baseName = MeshResolver.entryName(entry);
+            const path = `baseNames[${index}]`;
+            this._checkSelectors(entry, path, report);
+            if (seenBases.has(baseName)) report('warning', 'meshGroups', path, `Duplicate base name "${baseName}"`);
+            seenBases.add(baseName);
+            if (resolver.isGroup(baseName)) {
+                report('warning', 'meshGroups', path, `"${baseName}" is both a base name and an assembled group`);
+            }
+            if (resolver.hasModel && resolver.meshesOfBase(baseName).length === 0) {
+                report('error', 'meshGroups', path, typeof entry === 'string'
+                    ? `Unknown mesh name: no mesh "${baseName}" or copy of it ("${baseName}_N") in the model`
+                    : `Base "${baseName}" selects no meshes in the model`);
+            }
+        });
+        (config.exclude || []).forEach((selector, index) => {
+            this._checkSelectors(selector, `exclude[${index}]`, report);
+        });
+
+        const seenGroups = new Set();
+        (config.assembledGroups || []).forEach((group, index) => {
+            const path = `assembledGroups[${index}]`;
+            if (seenGroups.has(group.name)) {
+                report('error', 'meshGroups', `${path}.name`, `Duplicate assembled group "${group.name}" (only the first is used)`);
+                return;
+            }
+            seenGroups.add(group.name);
+
+            group.groups.forEach((element, elementIndex) => {
+                if (!resolver.isBase(element) && !resolver.isGroup(element)) {
+                    report('error', 'meshGroups', `${path}.groups[${elementIndex}]`,
+                        `Group "${group.name}" references undefined element "${element}"`);
+                }
+            });
+            const cycle = this._findCycle(group.name, resolver.groups);
+            if (cycle) report('error', 'meshGroups', path, `Circular reference: ${cycle.join(' -> ')}`);
+            if (resolver.hasModel && resolver.meshes(group.name).size === 0) {
+                report('warning', 'meshGroups', path, `Assembled group "${group.name}" resolves to no meshes`);
+            }
+        });
+    }
+
+    /**
+     * Report regexes that do not compile and exclude selectors without a selector key
+     * @param {string|Object} entry - Base entry or exclude selector
+     * @param {string} path
+     */
+    _checkSelectors(entry, path, report) {
+        if (typeof entry !== 'object') return;
+        [].concat(entry.regex ?? []).forEach(source => {
+            try {
+                new RegExp(source);
+            } catch (error) {
+                report('error', 'meshGroups', `${path}.regex`, `Invalid regex "${source}": ${error.message}`);
+            }
+        });
+        (entry.exclude || []).forEach((selector, index) => this._checkSelectors(selector, `${path}.exclude[${index}]`, report));
+        if (entry.name === undefined && !['glob', 'regex', 'path', 'subtree'].some(key => entry[key] !== undefined)) {
+            report('warning', 'meshGroups', path, 'Exclude selector has no glob, regex, path or subtree (excludes nothing)');
+        }
+    }
+
+    /**
+     * @returns {string[]|null} Group path back to `start`, if it contains itself
+     */
+    _findCycle(start, groups) {
+        const visit = (name, stack) => {
+            for (const element of groups.get(name) || []) {
+                if (element === start) return [...stack, element];
+                if (stack.includes(element) || !groups.has(element)) continue;
+                const cycle = visit(element, [...stack, element]);
+                if (cycle) return cycle;
+            }
+            return null;
+        };
+        return visit(start, [start]);
+    }
+
+    _checkAssembly(config, resolver, report) {
+        const seenIds = new Map();
+        config.steps.forEach((step, index) => {
+            const path = `steps[${index}]`;
+            if (seenIds.has(step.id)) {
+                report('error', 'assembly', `${path}.id`, `Duplicate step id "${step.id}" (also steps[${seenIds.get(step.id)}])`);
+            } else {
+                seenIds.set(step.id, index);
+            }
+
+            const involvedMeshes = this._checkInvolved(step.involved, `${path}.involved`, resolver, report);
+            if (resolver.hasModel && involvedMeshes.size === 0) {
+                report('error', 'assembly', `${path}.involved`, `Step "${step.id}" resolves to no meshes`);
+            }
+            (step.outline?.roles || []).forEach((role, roleIndex) => {
+                this._checkInvolved(role, `${path}.outline.roles[${roleIndex}]`, resolver, report);
+            });
+        });
+    }
+
+    /**
+     * Check the base meshes and groups of an `involved` (or outline role) block
+     * @returns {Set<Object>} GLB meshes it resolves to
+     */
+    _checkInvolved(involved, path, resolver, report) {
+        const meshes = new Set();
+        (involved?.baseMeshes || []).forEach((name, index) => {
+            const namePath = `${path}.baseMeshes[${index}]`;
+            if (resolver.isBase(name)) {
+                resolver.meshes(name).forEach(mesh => meshes.add(mesh));
+            } else if (resolver.hasModel && resolver.meshesOfBase(name).length > 0) {
+                // AssemblyManager falls back to the model's mesh names
+                report('warning', 'assembly', namePath, `"${name}" is not in MeshGroups.json baseNames (matched directly in the model)`);
+                resolver.meshesOfBase(name).forEach(mesh => meshes.add(mesh));
+            } else if (resolver.isGroup(name)) {
+                report('error', 'assembly', namePath, `"${name}" is an assembled group; list it under assembledGroups`);
+            } else {
+                report('error', 'assembly', namePath, `Unknown base mesh "${name}"`);
+            }
+        });
+        (involved?.assembledGroups || []).forEach((name, index) => {
+            const namePath = `${path}.assembledGroups[${index}]`;
+            if (resolver.isGroup(name)) {
+                resolver.meshes(name).forEach(mesh => meshes.add(mesh));
+            } else {
+                report('error', 'assembly', namePath, `Step references undefined group "${name}"`);
+            }
+        });
+        return meshes;
+    }
+
+    _checkAnimations(animations, assembly, resolver, report) {
+        const steps = new Map(assembly.steps.map(step => [step.id, step]));
+
+        Object.entries(animations).forEach(([stepId, stepAnimation]) => {
+            const step = steps.get(stepId);
+            if (!step) {
+                report('warning', 'animations', stepId, `Animation for unknown step "${stepId}"`);
+                return;
+            }
+
+            // Names the step may animate: its involved base meshes and groups with everything inside them
+            const involvedNames = [...(step.involved?.baseMeshes || []), ...(step.involved?.assembledGroups || [])];
+            const allowed = new Set();
+            involvedNames.forEach(name => resolver.expand(name).forEach(element => allowed.add(element)));
+            const allowedMeshes = new Set();
+            if (resolver.hasModel) involvedNames.forEach(name => resolver.meshes(name).forEach(mesh => allowedMeshes.add(mesh)));
+
+            this._forEachMotion(stepAnimation.animations, `${stepId}.animations`, (entry, path) => {
+                const name = entry.mesh;
+                const known = resolver.isBase(name) || resolver.isGroup(name) || resolver.isMesh(name);
+                if (!known && (resolver.hasModel || MeshResolver.stripCopySuffix(name) === null)) {
+                    report('error', 'animations', `${path}.mesh`, `Unknown mesh "${name}"`);
+                    return;
+                }
+                // A raw mesh name is part of the step when the step's meshes contain it; without a model,
+                // a copy (name_1, name.001, name (1)) belongs to its base name
+                const inStep = allowed.has(name) || (resolver.hasModel
+                    ? resolver.isMesh(name) && resolver.meshesOfBase(name).every(mesh => allowedMeshes.has(mesh))
+                    : allowed.has(MeshResolver.stripCopySuffix(name)));
+                if (!inStep) {
+                    report('warning', 'animations', `${path}.mesh`, `"${name}" is not part of step "${stepId}" (involved set)`);
+                }
+            });
+        });
+
+        assembly.steps.forEach((step, index) => {
+            if (!animations[step.id]) {
+                report('warning', 'animations', '', `No animation config for step "${step.id}" (steps[${index}])`);
+            }
+        });
+    }
+
+    /**
+     * Visit every motion entry, descending into parallel/sequence groups
+     */
+    _forEachMotion(entries, path, callback) {
+        (entries || []).forEach((entry, index) => {
+            const entryPath = `${path}[${index}]`;
+            if (Array.isArray(entry.parallel)) {
+                this._forEachMotion(entry.parallel, `${entryPath}.parallel`, callback);
+            } else if (Array.isArray(entry.sequence)) {
+                this._forEachMotion(entry.sequence, `${entryPath}.sequence`, callback);
+            } else {
+                callback(entry, entryPath);
+            }
+        });
+    }
+
+    /**
+     * Validate a value against the JSON Schema subset the config schemas use
+     * (type, enum, required, properties, additionalProperties, items, min/maxItems, minLength, pattern,
+     * minimum, maximum, exclusiveMinimum, anyOf, allOf and local $ref)
+     * @param {*} value
+     * @param {Object} schema
+     * @param {Object} root - Schema that `#/...` references resolve against
+     * @param {string} path - Path of the value, for messages
+     * @returns {Object[]} [{ path, message }]
+     */
+    static validateSchema(value, schema, root = schema, path = '') {
+        const errors = [];
+        const at = path || '(root)';
+
+        if (schema.$ref) {
+            const target = ConfigValidator._resolveRef(schema.$ref, root);
+            if (!target) return [{ path: at, message: `Schema reference ${schema.$ref} not found` }];
+            errors.push(...ConfigValidator.validateSchema(value, target, root, path));
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => ConfigValidator._isType(value, type))) {
+                return [...errors, { path: at, message: `Expected ${types.join(' or ')}, got ${ConfigValidator._typeOf(value)}` }];
+            }
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path: at, message: `Expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path: at, message: 'String is too short' });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path: at, message: `"${value}" does not match ${schema.pattern}` });
+            }
+        }
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `Must be >= ${schema.minimum}` });
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `Must be <= ${schema.maximum}` });
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push({ path: at, message: `Must be > ${schema.exclusiveMinimum}` });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: at, message: `Needs at least ${schema.minItems} items` });
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path: at, message: `Allows at most ${schema.maxItems} items` });
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...ConfigValidator.validateSchema(item, schema.items, root, `${path}[${index}]`));
+                });
+            }
+        } else if (ConfigValidator._isType(value, 'object')) {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push({ path: at, message: `Missing required "${key}"` });
+            });
+            Object.entries(value).forEach(([key, child]) => {
+                const childPath = path ? `${path}.${key}` : key;
+                if (schema.properties?.[key]) {
+                    errors.push(...ConfigValidator.validateSchema(child, schema.properties[key], root, childPath));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, message: `Unexpected property "${key}"` });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    errors.push(...ConfigValidator.validateSchema(child, schema.additionalProperties, root, childPath));
+                }
+            });
+        }
+
+        (schema.allOf || []).forEach(sub => errors.push(...ConfigValidator.validateSchema(value, sub, root, path)));
+
+        if (schema.anyOf) {
+            // Report the closest alternative rather than all of them: one whose required keys are present
+            // (e.g. a `parallel` group), otherwise the one with the fewest errors
+            const results = schema.anyOf.map(sub => ({
+                errors: ConfigValidator.validateSchema(value, sub, root, path),
+                hasRequired: ConfigValidator._hasRequired(value, sub, root)
+            }));
+            if (!results.some(result => result.errors.length === 0)) {
+                const candidates = results.some(result => result.hasRequired) ? results.filter(result => result.hasRequired) : results;
+                errors.push(...candidates.reduce((best, result) => (result.errors.length < best.errors.length ? result : best)).errors);
+            }
+        }
+
+        return errors;
+    }
+
+    static _resolveRef(ref, root) {
+        return ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+    }
+
+    static _hasRequired(value, schema, root) {
+        const resolved = schema.$ref ? ConfigValidator._resolveRef(schema.$ref, root) : schema;
+        if (!resolved?.required || !ConfigValidator._isType(value, 'object')) return false;
+        return resolved.required.every(key => key in value);
+    }
+
+    static _isType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
+    static _typeOf(value) {
+        if (value === null) return 'null';
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+}
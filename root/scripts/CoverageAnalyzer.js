@@ -0,0 +1,111 @@
+import { BuildState } from './BuildState.js';
+import { MeshResolver } from './MeshResolver.js';
+
+/**
+ * Coverage of a model by its configs:
+ * - orphan meshes: GLB meshes no MeshGroups.json base entry selects. VisibilityManager only handles
+ *   base meshes, so orphans are never faded or hidden and stay visible during every step
+ * - unassigned parts: base names no step installs
+ * - parts installed by more than one step: a base part a later step brings in again through a
+ *   different group or its own base mesh (reusing an earlier step's whole group is a prebuilt
+ *   subassembly and is fine)
+ *
+ * Has no three.js dependency, so it runs in the app and in tools/validate-config.mjs.
+ */
+export class CoverageAnalyzer {
+    /**
+     * @param {Object} meshGroups - MeshGroups.json ({ baseNames, exclude, assembledGroups })
+     * @param {Object[]} steps - Steps from AssemblyManager.json
+     */
+    constructor(meshGroups, steps) {
+        this.entries = meshGroups?.baseNames || [];
+        this.exclude = meshGroups?.exclude || [];
+        this.baseNames = this.entries.map(entry => MeshResolver.entryName(entry)).filter(Boolean);
+        this.steps = steps || [];
+        this.groups = new Map();
+        (meshGroups?.assembledGroups || []).forEach(group => {
+            if (group?.name && !this.groups.has(group.name)) this.groups.set(group.name, group.groups || []);
+        });
+    }
+
+    /**
+     * @param {MeshResolver|string[]} model - Resolver over the GLB (or names of every mesh in it)
+     * @param {Function} filter - (mesh) => boolean, meshes to leave out (e.g. animation clones)
+     * @returns {{orphans: string[], orphanMeshes: Object[], unassigned: string[], multiplyInstalled: Object[], meshCount: number, coveredCount: number}}
+     *          multiplyInstalled: [{ baseName, steps: number[] }] (step indices, installing step first)
+     */
+    analyze(model, filter = null) {
+        const resolver = Array.isArray(model) ? MeshResolver.fromNames(Array.from(new Set(model))) : model;
+        const meshes = resolver.getMeshes().filter(mesh => !filter || filter(mesh));
+
+        // Same matching as MeshGroupLoader
+        const covered = new Set();
+        this.entries.forEach(entry => resolver.resolveEntry(entry, this.exclude).forEach(mesh => covered.add(mesh)));
+        const orphanMeshes = meshes.filter(mesh => !covered.has(mesh));
+        const orphans = Array.from(new Set(orphanMeshes.map(mesh => mesh.name))).sort();
+
+        // BuildState only needs the group hierarchy here
+        const buildState = new BuildState(
+            this.steps,
+            { getGroupElements: name => this.groups.get(name) || null },
+            [],
+            () => []
+        );
+
+        const unassigned = this.baseNames.filter(baseName => buildState.getInstallingStepByName(baseName) === -1);
+
+        const multiplyInstalled = [];
+        this.baseNames.forEach(baseName => {
+            const first = buildState.getInstallingStepByName(baseName);
+            if (first === -1) return;
+            const again = [];
+            buildState.prebuilt.forEach((names, index) => {
+                if (index !== first && names.has(baseName)) again.push(index);
+            });
+            if (again.length > 0) multiplyInstalled.push({ baseName, steps: [first, ...again] });
+        });
+
+        return {
+            orphans,
+            orphanMeshes,
+            unassigned,
+            multiplyInstalled,
+            meshCount: meshes.length,
+            coveredCount: meshes.length - orphanMeshes.length
+        };
+    }
+
+    /**
+     * Coverage as ConfigValidator-style issues (for ConfigReportUI and the headless script)
+     * @param {Object} coverage - From analyze()
+     * @returns {{issues: Object[], errors: number, warnings: number}}
+     */
+    toIssues(coverage) {
+        const stepName = index => {
+            const step = this.steps[index];
+            return `${index + 1} "${step?.label || step?.id}"`;
+        };
+        const issues = [
+            ...coverage.orphans.map(name => ({
+                severity: 'error',
+                file: 'MeshGroups.json',
+                path: name,
+                message: 'Orphan mesh: no baseNames entry covers it (never faded during steps)'
+            })),
+            ...coverage.unassigned.map(baseName => ({
+                severity: 'warning',
+                file: 'AssemblyManager.json',
+                path: baseName,
+                message: 'Part belongs to no step'
+            })),
+            ...coverage.multiplyInstalled.map(({ baseName, steps }) => ({
+                severity: 'warning',
+                file: 'AssemblyManager.json',
+                path: baseName,
+                message: `Installed by more than one step: ${steps.map(stepName).join(', ')}`
+            }))
+        ];
+        const errors = issues.filter(issue => issue.severity === 'error').length;
+        return { issues, errors, warnings: issues.length - errors };
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * Loading screen for a product: one row per download (GLB byte progress, config fetches),
+ * an error state with retry / back actions, and the list of mesh groups and steps that did not
+ * resolve once loading finished. Backed by the #loadingOverlay element in index.html.
+ */
+export class LoadingOverlay {
+    constructor() {
+        this.container = document.getElementById('loadingOverlay');
+        this.items = new Map();
+        this.actions = {};
+
+        if (!this.container) return;
+        this.titleElement = this.container.querySelector('.loading-title');
+        this.itemList = this.container.querySelector('.loading-items');
+        this.errorElement = this.container.querySelector('.loading-error');
+        this.warningList = this.container.querySelector('.loading-warnings');
+        this.actionsElement = this.container.querySelector('.loading-actions');
+
+        this.actionsElement.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => this.actions[button.dataset.action]?.());
+        });
+    }
+
+    /**
+     * Show the overlay with an empty item list
+     * @param {string} title - E.g. "Loading Drone"
+     */
+    show(title) {
+        if (!this.container) return;
+        this.items.clear();
+        this.itemList.replaceChildren();
+        this.titleElement.textContent = title;
+        this._setError(null);
+        this._setWarnings([]);
+        this._setActions({});
+        this.container.style.display = 'flex';
+    }
+
+    hide() {
+        if (this.container) this.container.style.display = 'none';
+    }
+
+    /**
+     * Add (or reset) a row
+     * @param {string} key
+     * @param {string} label
+     */
+    addItem(key, label) {
+        if (!this.container) return;
+        let item = this.items.get(key);
+        if (!item) {
+            const element = document.createElement('li');
+            element.className = 'loading-item';
+            const name = document.createElement('span');
+            name.className = 'loading-item-label';
+            const status = document.createElement('span');
+            status.className = 'loading-item-status';
+            const bar = document.createElement('div');
+            bar.className = 'loading-item-bar';
+            const fill = document.createElement('div');
+            bar.appendChild(fill);
+            element.append(name, status, bar);
+            this.itemList.appendChild(element);
+            item = { element, name, status, fill };
+            this.items.set(key, item);
+        }
+        item.name.textContent = label;
+        this._setItemState(item, 'pending', 'waiting');
+        item.fill.style.width = '0%';
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} loaded - Bytes received
+     * @param {number} total - Bytes expected (0 when the server sends no length)
+     */
+    setProgress(key, loaded, total) {
+        const item = this.items.get(key);
+        if (!item) return;
+        const text = total > 0
+            ? `${LoadingOverlay.formatBytes(loaded)} / ${LoadingOverlay.formatBytes(total)}`
+            : LoadingOverlay.formatBytes(loaded);
+        this._setItemState(item, 'loading', text);
+        item.fill.style.width = total > 0 ? `${Math.min(100, (loaded / total) * 100)}%` : '100%';
+    }
+
+    complete(key) {
+        const item = this.items.get(key);
+        if (!item) return;
+        this._setItemState(item, 'done', 'done');
+        item.fill.style.width = '100%';
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} message - Short reason shown in the row
+     */
+    fail(key, message) {
+        const item = this.items.get(key);
+        if (item) this._setItemState(item, 'failed', message || 'failed');
+    }
+
+    /**
+     * Mark a row as loading until the promise settles
+     * @param {string} key
+     * @param {Promise} promise
+     * @returns {Promise} The same result; a rejection fails the row and is rethrown
+     */
+    async track(key, promise) {
+        const item = this.items.get(key);
+        if (item) this._setItemState(item, 'loading', 'loading…');
+        try {
+            const result = await promise;
+            this.complete(key);
+            return result;
+        } catch (error) {
+            this.fail(key, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Show a load failure and its actions
+     * @param {string} message
+     * @param {Object} actions - { retry, back } callbacks
+     */
+    showError(message, { retry = null, back = null } = {}) {
+        if (!this.container) return;
+        this._setError(message);
+        this._setActions({ retry, back });
+        this.container.style.display = 'flex';
+    }
+
+    /**
+     * Keep the overlay open with the unresolved names until the user continues
+     * (hides right away when there is nothing to report)
+     * @param {string[]} warnings
+     */
+    showWarnings(warnings) {
+        if (!this.container || warnings.length === 0) {
+            this.hide();
+            return;
+        }
+        this.titleElement.textContent = `Loaded with ${warnings.length} warning${warnings.length !== 1 ? 's' : ''}`;
+        this._setWarnings(warnings);
+        this._setActions({ continue: () => this.hide() });
+    }
+
+    /**
+     * @param {number} bytes
+     * @returns {string} E.g. "3.4 MB"
+     */
+    static formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    _setItemState(item, state, text) {
+        item.element.dataset.state = state;
+        item.status.textContent = text;
+    }
+
+    _setError(message) {
+        this.errorElement.textContent = message || '';
+        this.errorElement.hidden = !message;
+    }
+
+    _setWarnings(warnings) {
+        this.warningList.replaceChildren(...warnings.map(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            return item;
+        }));
+        this.warningList.hidden = warnings.length === 0;
+    }
+
+    /**
+     * Show the buttons that have a callback
+     * @param {Object} actions - { [data-action]: callback }
+     */
+    _setActions(actions) {
+        this.actions = actions;
+        let any = false;
+        this.actionsElement.querySelectorAll('[data-action]').forEach(button => {
+            const visible = typeof actions[button.dataset.action] === 'function';
+            button.hidden = !visible;
+            any = any || visible;
+        });
+        this.actionsElement.hidden = !any;
+    }
+}
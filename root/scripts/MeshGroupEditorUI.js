@@ -0,0 +1,611 @@
+import { BillOfMaterials } from './BillOfMaterials.js';
+import { ConfigValidator } from './ConfigValidator.js';
+import { MeshResolver } from './MeshResolver.js';
+
+// Outline color of the selected meshes (and of the group clicked in the group tree)
+const SELECTION_COLOR = '#ffaa00';
+
+/**
+ * Interactive MeshGroups.json editor: the GLB hierarchy next to the assembled group hierarchy
+ * MeshGroupLoader resolves. Meshes (tree checkboxes or clicks in the viewport) and groups are
+ * multi-selected to create a new group or extend an existing one; elements and groups are removed
+ * from the group tree. Circular references and other MeshGroups.json problems are checked after every
+ * edit and shown live, and the result is exported as MeshGroups.json once it validates.
+ *
+ * Works on a copy of the loaded config: the viewer keeps using the loaded groups until the product is
+ * reloaded with the exported file. Backed by the #meshGroupEditor element in index.html.
+ */
+export class MeshGroupEditorUI {
+    constructor() {
+        this.container = document.getElementById('meshGroupEditor');
+        this.config = null; // working copy of MeshGroups.json
+        this.selectedMeshes = new Set();
+        this.selectedGroups = new Set();
+        this.meshRows = new Map(); // mesh -> row element of the model tree
+        this.meshBaseNames = new Map(); // mesh -> base name of the working config
+        this.issues = [];
+        this.checkId = 0;
+        this.clickHandler = mesh => this.toggleMesh(mesh);
+        this._listening = false;
+
+        if (!this.container) return;
+        this.titleElement = this.container.querySelector('.group-editor-title');
+        this.filterInput = this.container.querySelector('.group-editor-filter');
+        this.modelTree = this.container.querySelector('.group-editor-model-tree');
+        this.groupTree = this.container.querySelector('.group-editor-group-tree');
+        this.selectionElement = this.container.querySelector('.group-editor-selection');
+        this.nameInput = this.container.querySelector('.group-editor-name');
+        this.targetSelect = this.container.querySelector('.group-editor-target');
+        this.issueList = this.container.querySelector('.group-editor-issues');
+    }
+
+    /**
+     * @param {Object} options - { model, productId, meshGroupLoader, assemblyManager, assemblyAnimator,
+     *                           outlineManager, partPicker, getValidator }
+     *                           getValidator: async () => ConfigValidator with schemas (or null)
+     */
+    initialize({ model, productId, meshGroupLoader, assemblyManager, assemblyAnimator, outlineManager, partPicker, getValidator = null }) {
+        this.model = model;
+        this.productId = productId || 'product';
+        this.meshGroupLoader = meshGroupLoader;
+        this.assemblyManager = assemblyManager;
+        this.assemblyAnimator = assemblyAnimator;
+        this.outlineManager = outlineManager;
+        this.partPicker = partPicker;
+        this.getValidator = getValidator;
+        this.resolver = meshGroupLoader.getMeshResolver();
+
+        if (!this.container || this._listening) return;
+        this._listening = true;
+
+        this.container.querySelector('[data-action="close"]').addEventListener('click', () => this.hide());
+        this.container.querySelector('[data-action="export"]').addEventListener('click', () => this.exportConfig());
+        this.container.querySelector('[data-action="create"]').addEventListener('click', () => this.createGroup());
+        this.container.querySelector('[data-action="add"]').addEventListener('click', () => this.addToGroup());
+        this.container.querySelector('[data-action="clear"]').addEventListener('click', () => this.clearSelection());
+        this.filterInput.addEventListener('input', () => this._applyFilter());
+    }
+
+    /**
+     * Close the editor and forget the unloaded product
+     */
+    dispose() {
+        this.hide();
+        this.config = null;
+        this.model = null;
+        this.resolver = null;
+        this.meshGroupLoader = null;
+        this.assemblyManager = null;
+        this.assemblyAnimator = null;
+        this.partPicker = null;
+        this.meshRows.clear();
+        this.meshBaseNames.clear();
+        if (this.modelTree) this.modelTree.replaceChildren();
+        if (this.groupTree) this.groupTree.replaceChildren();
+    }
+
+    isVisible() {
+        return !!this.container && this.container.style.display !== 'none';
+    }
+
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Open the editor on a fresh copy of the loaded MeshGroups.json
+     */
+    show() {
+        if (!this.container) {
+            console.warn('MeshGroupEditorUI: Container not found');
+            return;
+        }
+        if (!this.model || !this.meshGroupLoader?.meshGroupConfig) {
+            console.warn('MeshGroupEditorUI: No product loaded');
+            return;
+        }
+
+        this.config = structuredClone(this.meshGroupLoader.meshGroupConfig);
+        this.selectedMeshes.clear();
+        this.selectedGroups.clear();
+        this.titleElement.textContent = `Mesh groups — ${this.productId}`;
+        this.filterInput.value = '';
+
+        this._resolveBaseNames();
+        this._renderModelTree();
+        this._refresh();
+
+        // Viewport clicks toggle meshes while the editor is open
+        this.partPicker?.setClickHandler(this.clickHandler);
+        this.container.style.display = 'flex';
+    }
+
+    hide() {
+        if (!this.isVisible()) return;
+        this.container.style.display = 'none';
+        // Step authoring may have taken part clicks over while the editor was open
+        if (this.partPicker?.clickHandler === this.clickHandler) this.partPicker.setClickHandler(null);
+        this.outlineManager?.setDiagnosticObjects([]);
+    }
+
+    /**
+     * @param {THREE.Mesh} mesh - Add to or remove from the selection
+     */
+    toggleMesh(mesh) {
+        if (!this.meshRows.has(mesh)) return;
+        if (this.selectedMeshes.has(mesh)) {
+            this.selectedMeshes.delete(mesh);
+        } else {
+            this.selectedMeshes.add(mesh);
+            this._revealRow(this.meshRows.get(mesh));
+        }
+        this._syncSelection();
+    }
+
+    clearSelection() {
+        this.selectedMeshes.clear();
+        this.selectedGroups.clear();
+        this._syncSelection();
+        this._renderGroupTree();
+    }
+
+    /**
+     * Create a group from the selection, named after the name field
+     */
+    createGroup() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            this._setMessage('Enter a name for the new group');
+            return;
+        }
+        const taken = this._getGroup(name) || this.config.baseNames.some(entry => MeshResolver.entryName(entry) === name);
+        if (taken) {
+            this._setMessage(`"${name}" is already a base name or group`);
+            return;
+        }
+        const elements = this._takeSelection();
+        if (elements.length === 0) {
+            this._setMessage('Select meshes or groups first');
+            return;
+        }
+        this.config.assembledGroups.push({ name, groups: elements });
+        this.nameInput.value = '';
+        this.targetSelect.value = name;
+        this._refresh();
+    }
+
+    /**
+     * Add the selection to the group chosen in the target list
+     */
+    addToGroup() {
+        const group = this._getGroup(this.targetSelect.value);
+        if (!group) {
+            this._setMessage('Choose a group to add to');
+            return;
+        }
+        const elements = this._takeSelection();
+        if (elements.length === 0) {
+            this._setMessage('Select meshes or groups first');
+            return;
+        }
+        elements.forEach(element => {
+            if (!group.groups.includes(element)) group.groups.push(element);
+        });
+        this._refresh();
+    }
+
+    /**
+     * @param {string} groupName
+     * @param {number} index - Element to remove from the group
+     */
+    removeElement(groupName, index) {
+        this._getGroup(groupName)?.groups.splice(index, 1);
+        this._refresh();
+    }
+
+    /**
+     * Delete a group and every reference to it
+     * @param {string} groupName
+     */
+    deleteGroup(groupName) {
+        this.config.assembledGroups = this.config.assembledGroups.filter(group => group.name !== groupName);
+        this.config.assembledGroups.forEach(group => {
+            group.groups = group.groups.filter(element => element !== groupName);
+        });
+        this.selectedGroups.delete(groupName);
+        this._refresh();
+    }
+
+    /**
+     * Download the working config as MeshGroups.json (refused while it has errors)
+     */
+    exportConfig() {
+        const errors = this.issues.filter(issue => issue.severity === 'error' && issue.file === 'MeshGroups.json');
+        if (errors.length > 0) {
+            this._setMessage(`Fix ${errors.length} error${errors.length !== 1 ? 's' : ''} before exporting`);
+            return;
+        }
+        const config = structuredClone(this.config);
+        // MeshGroupLoader fills in an empty exclude list; leave it out unless it was used
+        if (Array.isArray(config.exclude) && config.exclude.length === 0) delete config.exclude;
+        BillOfMaterials.download('MeshGroups.json', `${JSON.stringify(config, null, 2)}\n`, 'application/json');
+        console.log(`MeshGroupEditorUI: Exported ${config.baseNames.length} base names, ${config.assembledGroups.length} groups`);
+    }
+
+    /**
+     * Group names that are part of a circular reference: members of a strongly connected component
+     * (Tarjan) with more than one group, and groups that contain themselves
+     * @param {Object[]} groups - assembledGroups
+     * @returns {Set<string>}
+     */
+    static findCyclicGroups(groups) {
+        const elements = new Map();
+        groups.forEach(group => {
+            if (!elements.has(group.name)) elements.set(group.name, group.groups || []);
+        });
+
+        const cyclic = new Set();
+        const index = new Map();
+        const lowLink = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const visit = (name) => {
+            index.set(name, index.size);
+            lowLink.set(name, index.get(name));
+            stack.push(name);
+            onStack.add(name);
+            elements.get(name).forEach(element => {
+                if (!elements.has(element)) return;
+                if (!index.has(element)) {
+                    visit(element);
+                    lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(element)));
+                } else if (onStack.has(element)) {
+                    lowLink.set(name, Math.min(lowLink.get(name), index.get(element)));
+                }
+            });
+            if (lowLink.get(name) !== index.get(name)) return;
+
+            // name is the root of a component: everything above it on the stack belongs to it
+            const component = stack.splice(stack.lastIndexOf(name));
+            component.forEach(member => onStack.delete(member));
+            if (component.length > 1 || elements.get(name).includes(name)) {
+                component.forEach(member => cyclic.add(member));
+            }
+        };
+        elements.forEach((_, name) => {
+            if (!index.has(name)) visit(name);
+        });
+        return cyclic;
+    }
+
+    _getGroup(name) {
+        return this.config.assembledGroups.find(group => group.name === name) || null;
+    }
+
+    /**
+     * Config elements for the selection: base names of the selected meshes (declared in baseNames
+     * when no entry covers them yet) and the selected groups
+     * @returns {string[]}
+     */
+    _takeSelection() {
+        const elements = [];
+        this.selectedMeshes.forEach(mesh => {
+            let baseName = this.meshBaseNames.get(mesh);
+            if (!baseName) {
+                baseName = mesh.userData?.name || mesh.name;
+                if (!this.config.baseNames.some(entry => MeshResolver.entryName(entry) === baseName)) {
+                    this.config.baseNames.push(baseName);
+                }
+            }
+            if (!elements.includes(baseName)) elements.push(baseName);
+        });
+        this.selectedGroups.forEach(name => {
+            if (!elements.includes(name)) elements.push(name);
+        });
+        this.selectedMeshes.clear();
+        this.selectedGroups.clear();
+        return elements;
+    }
+
+    /**
+     * Base name of every mesh under the working config (first entry wins, like MeshGroupLoader.getMeshGroups)
+     */
+    _resolveBaseNames() {
+        this.meshBaseNames.clear();
+        this.config.baseNames.forEach(entry => {
+            const name = MeshResolver.entryName(entry);
+            if (!name) return;
+            this.resolver.resolveEntry(entry, this.config.exclude).forEach(mesh => {
+                if (!this.meshBaseNames.has(mesh)) this.meshBaseNames.set(mesh, name);
+            });
+        });
+    }
+
+    /**
+     * @param {string} name - Base name or group of the working config
+     * @param {Set<string>} seen - Groups already expanded (cycles are cut)
+     * @returns {THREE.Mesh[]}
+     */
+    _getMeshes(name, seen = new Set()) {
+        const group = this._getGroup(name);
+        if (!group) {
+            const entry = this.config.baseNames.find(e => MeshResolver.entryName(e) === name);
+            return entry ? this.resolver.resolveEntry(entry, this.config.exclude) : [];
+        }
+        if (seen.has(name)) return [];
+        seen.add(name);
+        return group.groups.flatMap(element => this._getMeshes(element, seen));
+    }
+
+    /**
+     * After every edit: base names, both trees, the target list and the live check
+     */
+    _refresh() {
+        this._resolveBaseNames();
+        this._updateBaseBadges();
+        this._renderGroupTree();
+        this._renderTargets();
+        this._syncSelection();
+        this._check();
+    }
+
+    _renderModelTree() {
+        this.meshRows.clear();
+        // Animation clones are parented next to their originals but are not part of the model
+        const clones = new Set(this.assemblyAnimator?.animationClones.values() || []);
+        const build = (object) => {
+            const item = document.createElement('li');
+            if (object.isMesh) {
+                const row = document.createElement('label');
+                row.className = 'group-editor-row';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.addEventListener('change', () => this.toggleMesh(object));
+                const name = document.createElement('span');
+                name.textContent = object.userData?.name || object.name || '(unnamed mesh)';
+                const badge = document.createElement('span');
+                badge.className = 'group-editor-badge';
+                row.append(checkbox, name, badge);
+                item.appendChild(row);
+                item.dataset.name = name.textContent.toLowerCase();
+                this.meshRows.set(object, item);
+                return item;
+            }
+
+            const details = document.createElement('details');
+            details.open = object === this.model;
+            const summary = document.createElement('summary');
+            summary.textContent = object === this.model ? 'Model' : (object.userData?.name || object.name || '(node)');
+            // Selects every mesh below the node
+            const selectAll = document.createElement('button');
+            selectAll.className = 'group-editor-inline-btn';
+            selectAll.textContent = 'select';
+            selectAll.title = 'Select every mesh below this node';
+            selectAll.addEventListener('click', (event) => {
+                event.preventDefault();
+                object.traverse(child => {
+                    if (this.meshRows.has(child)) this.selectedMeshes.add(child);
+                });
+                this._syncSelection();
+            });
+            summary.appendChild(selectAll);
+            const list = document.createElement('ul');
+            object.children.forEach(child => {
+                if (this._containsMesh(child, clones)) list.appendChild(build(child));
+            });
+            details.append(summary, list);
+            item.appendChild(details);
+            return item;
+        };
+
+        const root = document.createElement('ul');
+        root.appendChild(build(this.model));
+        this.modelTree.replaceChildren(root);
+        this._updateBaseBadges();
+    }
+
+    _containsMesh(object, clones) {
+        if (clones.has(object)) return false;
+        let found = false;
+        object.traverse(child => {
+            if (child.isMesh && !clones.has(child)) found = true;
+        });
+        return found;
+    }
+
+    _updateBaseBadges() {
+        this.meshRows.forEach((item, mesh) => {
+            const badge = item.querySelector('.group-editor-badge');
+            const baseName = this.meshBaseNames.get(mesh);
+            badge.textContent = baseName || 'orphan';
+            badge.classList.toggle('orphan', !baseName);
+        });
+    }
+
+    _renderGroupTree() {
+        const groups = this.config.assembledGroups;
+        const cyclic = MeshGroupEditorUI.findCyclicGroups(groups);
+        const referenced = new Set(groups.flatMap(group => group.groups));
+        const rendered = new Set();
+
+        const buildGroup = (group, ancestors) => {
+            rendered.add(group.name);
+            const item = document.createElement('li');
+            const details = document.createElement('details');
+            details.open = ancestors.length === 0;
+            const summary = document.createElement('summary');
+            summary.className = 'group-editor-group';
+            summary.classList.toggle('cyclic', cyclic.has(group.name));
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selectedGroups.has(group.name);
+            checkbox.addEventListener('click', (event) => event.stopPropagation());
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.selectedGroups.add(group.name);
+                else this.selectedGroups.delete(group.name);
+                this._syncSelection();
+            });
+            const name = document.createElement('span');
+            name.textContent = `${group.name} (${new Set(this._getMeshes(group.name)).size} meshes)`;
+            name.title = 'Outline this group';
+            name.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.outlineManager?.setDiagnosticObjects(this._getMeshes(group.name), SELECTION_COLOR);
+            });
+            summary.append(checkbox, name);
+            if (ancestors.length === 0) {
+                summary.appendChild(this._inlineButton('delete', `Delete group "${group.name}"`, () => this.deleteGroup(group.name)));
+            }
+
+            const list = document.createElement('ul');
+            group.groups.forEach((element, index) => {
+                const child = this._getGroup(element);
+                let row;
+                if (child && (ancestors.includes(element) || element === group.name)) {
+                    row = this._leaf(`↻ ${element} (circular reference)`, 'cyclic');
+                } else if (child) {
+                    row = buildGroup(child, [...ancestors, group.name]);
+                } else if (this.config.baseNames.some(entry => MeshResolver.entryName(entry) === element)) {
+                    row = this._leaf(`${element} (${this._getMeshes(element).length})`, 'base');
+                } else {
+                    row = this._leaf(`${element} (undefined)`, 'undefined');
+                }
+                // Elements are removed from the group they are listed in
+                const target = row.querySelector('summary') || row.firstChild;
+                target.appendChild(this._inlineButton('✕', `Remove "${element}" from "${group.name}"`, () => this.removeElement(group.name, index)));
+                list.appendChild(row);
+            });
+            details.append(summary, list);
+            item.appendChild(details);
+            return item;
+        };
+
+        const root = document.createElement('ul');
+        groups.filter(group => !referenced.has(group.name)).forEach(group => root.appendChild(buildGroup(group, [])));
+        // Groups only reachable through a cycle have no top-level parent
+        groups.filter(group => !rendered.has(group.name)).forEach(group => root.appendChild(buildGroup(group, [])));
+        if (groups.length === 0) root.appendChild(this._leaf('No assembled groups yet', 'empty'));
+        this.groupTree.replaceChildren(root);
+    }
+
+    _leaf(text, kind) {
+        const item = document.createElement('li');
+        const row = document.createElement('div');
+        row.className = `group-editor-leaf ${kind}`;
+        row.textContent = text;
+        item.appendChild(row);
+        return item;
+    }
+
+    _inlineButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'group-editor-inline-btn';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    _renderTargets() {
+        const current = this.targetSelect.value;
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Add to group…';
+        this.targetSelect.replaceChildren(placeholder, ...this.config.assembledGroups.map(group => {
+            const option = document.createElement('option');
+            option.value = group.name;
+            option.textContent = group.name;
+            return option;
+        }));
+        this.targetSelect.value = this._getGroup(current) ? current : '';
+    }
+
+    /**
+     * Checkboxes, count and viewport outline of the selection
+     */
+    _syncSelection() {
+        this.meshRows.forEach((item, mesh) => {
+            item.querySelector('input').checked = this.selectedMeshes.has(mesh);
+        });
+        const count = this.selectedMeshes.size + this.selectedGroups.size;
+        this.selectionElement.textContent = `${this.selectedMeshes.size} mesh${this.selectedMeshes.size !== 1 ? 'es' : ''}, ` +
+            `${this.selectedGroups.size} group${this.selectedGroups.size !== 1 ? 's' : ''} selected`;
+        this.selectionElement.dataset.empty = count === 0 ? 'true' : 'false';
+        this.outlineManager?.setDiagnosticObjects([...this.selectedMeshes], SELECTION_COLOR);
+    }
+
+    _revealRow(item) {
+        for (let element = item.parentElement; element && element !== this.modelTree; element = element.parentElement) {
+            if (element.tagName === 'DETAILS') element.open = true;
+        }
+        item.scrollIntoView({ block: 'nearest' });
+    }
+
+    _applyFilter() {
+        const query = this.filterInput.value.trim().toLowerCase();
+        this.meshRows.forEach(item => {
+            const match = !query || item.dataset.name.includes(query);
+            item.hidden = !match;
+            if (match && query) this._revealRow(item);
+        });
+    }
+
+    /**
+     * Validate the working config against the loaded steps and animations; the result replaces the
+     * issue list (checks that finish after a newer edit are dropped)
+     */
+    async _check() {
+        const checkId = ++this.checkId;
+        const validator = (await this.getValidator?.()) || new ConfigValidator();
+        if (checkId !== this.checkId || !this.config) return;
+
+        const result = validator.validate({
+            meshGroups: this.config,
+            assembly: this.assemblyManager.assembly_config,
+            animations: this.assemblyAnimator.animationConfig
+        }, this.resolver);
+        // Group edits can break the steps that reference them, so those are shown too
+        this.issues = result.issues.filter(issue => issue.file !== 'AssemblyAnimations.json');
+        this._renderIssues();
+    }
+
+    _renderIssues(message = null) {
+        const items = this.issues
+            .slice()
+            .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1))
+            .map(issue => {
+                const item = document.createElement('li');
+                item.className = `config-report-issue ${issue.severity}`;
+                const path = document.createElement('code');
+                path.textContent = `${issue.file} ${issue.path || ''}`.trim();
+                item.append(path, ` ${issue.message}`);
+                return item;
+            });
+        if (message) {
+            const item = document.createElement('li');
+            item.className = 'group-editor-message';
+            item.textContent = message;
+            items.unshift(item);
+        }
+        if (items.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'group-editor-message ok';
+            item.textContent = 'No problems found';
+            items.push(item);
+        }
+        this.issueList.replaceChildren(...items);
+    }
+
+    _setMessage(message) {
+        this._renderIssues(message);
+    }
+}
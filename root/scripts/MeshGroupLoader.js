@@ -1,10 +1,13 @@
 import * as THREE from 'three';
+import { MeshResolver } from './MeshResolver.js';
 
 export class MeshGroupLoader {
     constructor() {
         this.baseMeshes = new Map();
         this.assembledGroups = new Map();
         this.meshGroupConfig = null;
+        this.resolver = null; // MeshResolver over the model of the last buildGroups()
+        this.warnings = []; // names that did not resolve in the last buildGroups()
     }
 
     async initialize(configPath) {
@@ -17,6 +20,7 @@ export class MeshGroupLoader {
 
             if (!this.meshGroupConfig.baseNames) this.meshGroupConfig.baseNames = [];
             if (!this.meshGroupConfig.assembledGroups) this.meshGroupConfig.assembledGroups = [];
+            if (!this.meshGroupConfig.exclude) this.meshGroupConfig.exclude = [];
 
             console.log('MeshGroupLoader: Config loaded', this.meshGroupConfig);
         } catch (error) {
@@ -33,20 +37,27 @@ export class MeshGroupLoader {
 
         this.baseMeshes.clear();
         this.assembledGroups.clear();
+        this.warnings = [];
+        this.resolver = new MeshResolver(rootModel);
 
-        this._buildBaseNames(rootModel);
+        this._buildBaseNames();
         this._buildAssembledGroups();
 
         console.log('MeshGroupLoader: Base groups built:', this.getBaseNames());
         console.log('MeshGroupLoader: Assembled groups built:', this.getAssembledGroupNames());
     }
 
-    _buildBaseNames(rootModel) {
-        this.meshGroupConfig.baseNames.forEach(baseName => {
-            const discovered = this._discoverMeshVariants(rootModel, baseName);
+    _buildBaseNames() {
+        this.meshGroupConfig.baseNames.forEach(entry => {
+            const baseName = MeshResolver.entryName(entry);
+            if (!baseName) {
+                console.warn('MeshGroupLoader: Skipping base entry with missing name', entry);
+                return;
+            }
+            const discovered = this.resolver.resolveEntry(entry, this.meshGroupConfig.exclude);
             
             if (discovered.length === 0) {
-                console.warn(`MeshGroupLoader: No meshes found for base "${baseName}"`);
+                this._warn(`No meshes found for base "${baseName}"`);
                 return;
             }
             
@@ -69,7 +80,7 @@ export class MeshGroupLoader {
 
         const resolveMeshesForName = (name, stack = []) => {
             if (resolving.has(name)) {
-                console.warn(`MeshGroupLoader: Circular reference detected: ${[...stack, name].join(' -> ')}`);
+                this._warn(`Circular reference detected: ${[...stack, name].join(' -> ')}`);
                 return [];
             }
 
@@ -97,7 +108,7 @@ export class MeshGroupLoader {
                 return baseEntry.meshes;
             }
 
-            console.warn(`MeshGroupLoader: Element "${name}" not found in assembled groups or baseMeshes`);
+            this._warn(`Element "${name}" not found in assembled groups or baseMeshes`);
             return [];
         };
 
@@ -121,18 +132,35 @@ export class MeshGroupLoader {
 
             this.assembledGroups.set(name, {
                 name,
-                meshes: unique
+                meshes: unique,
+                elements: cfg.groups || []
             });
             // console.log(`MeshGroupLoader: Created assembled group "${name}" with ${unique.length} meshes`);
         });
 
         this.assembledGroups.forEach(entry => {
             if (!entry.meshes.length) {
-                console.warn(`MeshGroupLoader: Assembled group "${entry.name}" is empty`);
+                this._warn(`Assembled group "${entry.name}" is empty`);
             }
         });
     }
 
+    /**
+     * Log a resolve problem and keep it for getWarnings()
+     * @param {string} message
+     */
+    _warn(message) {
+        console.warn(`MeshGroupLoader: ${message}`);
+        this.warnings.push(message);
+    }
+
+    /**
+     * @returns {string[]} Base names and groups that did not resolve against the model
+     */
+    getWarnings() {
+        return [...this.warnings];
+    }
+
     getAllMeshesForName(name) {
         if (this.baseMeshes.has(name)) {
             return this.getMeshes(name);
@@ -143,29 +171,11 @@ export class MeshGroupLoader {
         return null;
     }
 
-    _discoverMeshVariants(root, baseName) {
-        const found = [];
-        const regex = new RegExp(`^${this._escapeRegex(baseName)}(_\\d+)?$`);
-
-        root.traverse(child => {
-            if (child.isMesh && regex.test(child.name)) {
-                found.push(child);
-            }
-        });
-
-        found.sort((a, b) => {
-            const aMatch = a.name.match(/_(\d+)$/);
-            const bMatch = b.name.match(/_(\d+)$/);
-            const aNum = aMatch ? parseInt(aMatch[1]) : 0;
-            const bNum = bMatch ? parseInt(bMatch[1]) : 0;
-            return aNum - bNum;
-        });
-
-        return found;
-    }
-
-    _escapeRegex(str) {
-        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    /**
+     * @returns {MeshResolver|null} Resolver over the current model, for names MeshGroups.json does not declare
+     */
+    getMeshResolver() {
+        return this.resolver;
     }
 
     getMeshes(baseName) {
@@ -214,6 +224,60 @@ export class MeshGroupLoader {
         return Array.from(this.assembledGroups.keys());
     }
 
+    /**
+     * Direct elements (base names or assembled groups) an assembled group is made of
+     * @param {string} groupName
+     * @returns {string[]|null} Element names, or null if the name is not an assembled group
+     */
+    getGroupElements(groupName) {
+        const entry = this.assembledGroups.get(groupName);
+        return entry ? entry.elements : null;
+    }
+
+    /**
+     * Forget the groups and config of the unloaded product
+     */
+    dispose() {
+        this.baseMeshes.clear();
+        this.assembledGroups.clear();
+        this.meshGroupConfig = null;
+        this.resolver = null;
+        this.warnings = [];
+    }
+
+    /**
+     * Groups a mesh belongs to
+     * @param {THREE.Mesh} mesh
+     * @returns {{baseName: string|null, assembledGroups: string[]}} Base name and every assembled group containing the mesh
+     */
+    getMeshGroups(mesh) {
+        let baseName = null;
+        for (const [name, entry] of this.baseMeshes) {
+            if (entry.meshes.includes(mesh)) {
+                baseName = name;
+                break;
+            }
+        }
+        const assembledGroups = [];
+        this.assembledGroups.forEach((entry, name) => {
+            if (entry.meshes.includes(mesh)) assembledGroups.push(name);
+        });
+        return { baseName, assembledGroups };
+    }
+
+    /**
+     * Assembled groups that list a name (base name or group) directly among their elements
+     * @param {string} name
+     * @returns {string[]}
+     */
+    getParentGroups(name) {
+        const parents = [];
+        this.assembledGroups.forEach((entry, groupName) => {
+            if (entry.elements.includes(name)) parents.push(groupName);
+        });
+        return parents;
+    }
+
     _forEachAssembledMesh(groupName, fn) {
         const meshes = this.getAssembledGroupMeshes(groupName);
         if (meshes) meshes.forEach(fn);
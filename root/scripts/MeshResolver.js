@@ -0,0 +1,245 @@
+// Copy suffixes CAD exporters append to repeated parts: name_1 (default GLB naming), name.001 (Blender),
+// name (1) (Fusion/SolidWorks-style)
+const COPY_SUFFIX = '(?:_\\d+|\\.\\d+| \\(\\d+\\))';
+const VARIANT_SUFFIX = `${COPY_SUFFIX}?`;
+
+// Selector keys of a MeshGroups.json base entry (besides `name` and `exclude`)
+const SELECTOR_KEYS = ['glob', 'regex', 'path', 'subtree'];
+
+/**
+ * Resolves MeshGroups.json base entries to the meshes of a loaded model. The one place mesh-name
+ * matching lives: MeshGroupLoader builds its base groups with it, and AssemblyManager, AssemblyAnimator,
+ * ConfigValidator and CoverageAnalyzer fall back to it for names MeshGroups.json does not declare.
+ *
+ * A base entry is either a string or an object:
+ * - "camera"                              the name itself or a copy: camera_1, camera.001, camera (1)
+ * - { name, glob: "M3 Screw*" }           node names matching a glob (`*`, `?`)
+ * - { name, regex: "^M3[ _]Screw" }       node names matching a regular expression
+ * - { name, path: "Drone/Arms/**\/Arm_L" }  node path from the model root (glob per segment, `**` any depth)
+ * - { name, subtree: "Motor_Assembly" }   every mesh below the named node(s) (name glob)
+ * - `exclude`: selectors removed again ("glob" strings or { glob | regex | path | subtree } objects)
+ * Selector values may be arrays; all of an entry's selectors add up. MeshGroups.json may also have a
+ * top-level `exclude` applied to every entry.
+ *
+ * Names are tested against both the three.js object name and the original glTF node name
+ * (GLTFLoader sanitizes names, e.g. "Screw.001" -> "Screw001", and keeps the original in userData.name).
+ * A selector that matches a node which is not a mesh selects the mesh primitives directly below it
+ * (GLTFLoader splits multi-material meshes into a group of primitives).
+ */
+export class MeshResolver {
+    /**
+     * @param {THREE.Object3D|null} root - Model to resolve against
+     */
+    constructor(root) {
+        this.root = root;
+        this.nodes = []; // [{ object, names, path, isMesh }] in traversal order
+        if (root) this._index(root, '');
+    }
+
+    /**
+     * Resolver over bare mesh names (no hierarchy), e.g. for checks without a loaded model
+     * @param {string[]} names
+     * @returns {MeshResolver}
+     */
+    static fromNames(names) {
+        const resolver = new MeshResolver(null);
+        resolver.nodes = names.map(name => ({ object: { name, isMesh: true }, names: [name], path: name, isMesh: true }));
+        return resolver;
+    }
+
+    _index(object, parentPath) {
+        object.children.forEach(child => {
+            const original = child.userData?.name;
+            const names = original && original !== child.name ? [child.name, original] : [child.name];
+            const path = parentPath ? `${parentPath}/${original || child.name}` : (original || child.name);
+            this.nodes.push({ object: child, names, path, isMesh: !!child.isMesh });
+            this._index(child, path);
+        });
+    }
+
+    /**
+     * @param {string|Object} entry - MeshGroups.json base entry
+     * @returns {string} The base name the entry is registered under
+     */
+    static entryName(entry) {
+        return typeof entry === 'string' ? entry : entry?.name;
+    }
+
+    /**
+     * @returns {THREE.Mesh[]} Every mesh of the model
+     */
+    getMeshes() {
+        return this.nodes.filter(node => node.isMesh).map(node => node.object);
+    }
+
+    /**
+     * @param {THREE.Object3D} object
+     * @returns {string} Node path from the model root ("" if the object is not part of it)
+     */
+    getPath(object) {
+        return this.nodes.find(node => node.object === object)?.path || '';
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string|null} The name without its copy suffix (camera_1, camera.001, camera (1) -> camera),
+     *                        null if it has none
+     */
+    static stripCopySuffix(name) {
+        const match = name.match(new RegExp(`^(.+?)${COPY_SUFFIX}$`));
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Meshes of a base entry
+     * @param {string|Object} entry - MeshGroups.json base entry
+     * @param {Array} globalExclude - MeshGroups.json top-level `exclude`
+     * @returns {THREE.Mesh[]} Unique meshes (copies of a plain name in suffix order)
+     */
+    resolveEntry(entry, globalExclude = []) {
+        const found = new Set();
+        if (typeof entry === 'string') {
+            this._resolveName(entry).forEach(mesh => found.add(mesh));
+        } else if (entry) {
+            const selectors = SELECTOR_KEYS.flatMap(key => MeshResolver._toArray(entry[key]).map(value => ({ [key]: value })));
+            // An object entry without selectors matches by its name
+            if (selectors.length === 0 && entry.name) {
+                this._resolveName(entry.name).forEach(mesh => found.add(mesh));
+            }
+            selectors.forEach(selector => this._select(selector).forEach(mesh => found.add(mesh)));
+        }
+
+        const exclude = [...MeshResolver._toArray(globalExclude), ...MeshResolver._toArray(entry?.exclude)];
+        exclude.forEach(selector => {
+            this._select(typeof selector === 'string' ? { glob: selector } : selector).forEach(mesh => found.delete(mesh));
+        });
+        return Array.from(found);
+    }
+
+    /**
+     * Meshes for a name MeshGroups.json does not declare (same rule as a plain string entry)
+     * @param {string} name
+     * @returns {THREE.Mesh[]}
+     */
+    resolve(name) {
+        return this._resolveName(name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {THREE.Mesh[]} The name itself and its copies, exact match first then by copy number
+     */
+    _resolveName(name) {
+        const regex = new RegExp(`^${MeshResolver.escapeRegex(name)}${VARIANT_SUFFIX}$`);
+        const copyNumber = mesh => {
+            const match = mesh.name.match(/(\d+)\)?$/);
+            return mesh.name === name || !match ? 0 : parseInt(match[1], 10);
+        };
+        return this._matchNodes(node => node.names.some(n => regex.test(n)))
+            .sort((a, b) => copyNumber(a) - copyNumber(b));
+    }
+
+    /**
+     * @param {Object} selector - { glob } | { regex } | { path } | { subtree }
+     * @returns {THREE.Mesh[]}
+     */
+    _select(selector) {
+        if (selector.glob !== undefined) {
+            const regex = MeshResolver.globToRegex(selector.glob);
+            return this._matchNodes(node => node.names.some(n => regex.test(n)));
+        }
+        if (selector.regex !== undefined) {
+            let regex;
+            try {
+                regex = new RegExp(selector.regex);
+            } catch (error) {
+                console.warn(`MeshResolver: Invalid regex "${selector.regex}"`, error.message);
+                return [];
+            }
+            return this._matchNodes(node => node.names.some(n => regex.test(n)));
+        }
+        if (selector.path !== undefined) {
+            const regex = MeshResolver.pathToRegex(selector.path);
+            return this._matchNodes(node => regex.test(node.path));
+        }
+        if (selector.subtree !== undefined) {
+            const regex = MeshResolver.globToRegex(selector.subtree);
+            const meshes = [];
+            this.nodes.forEach(node => {
+                if (!node.names.some(n => regex.test(n))) return;
+                const prefix = `${node.path}/`;
+                if (node.isMesh) meshes.push(node.object);
+                this.nodes.forEach(other => {
+                    if (other.isMesh && other.path.startsWith(prefix)) meshes.push(other.object);
+                });
+            });
+            return meshes;
+        }
+        console.warn('MeshResolver: Unknown selector', selector);
+        return [];
+    }
+
+    /**
+     * Meshes of the matching nodes; a matching non-mesh node contributes its direct mesh children
+     * @param {Function} test - (node) => boolean
+     * @returns {THREE.Mesh[]}
+     */
+    _matchNodes(test) {
+        const meshes = [];
+        this.nodes.forEach(node => {
+            if (!test(node)) return;
+            if (node.isMesh) {
+                meshes.push(node.object);
+            } else {
+                (node.object.children || []).forEach(child => {
+                    if (child.isMesh) meshes.push(child);
+                });
+            }
+        });
+        return Array.from(new Set(meshes));
+    }
+
+    /**
+     * @param {string} glob - `*` any characters, `?` one character
+     * @returns {RegExp} Whole-name match
+     */
+    static globToRegex(glob) {
+        return new RegExp(`^${MeshResolver._globSource(glob, '.')}$`);
+    }
+
+    /**
+     * @param {string} path - Slash-separated node path, glob per segment, `**` for any number of segments
+     * @returns {RegExp} Whole-path match
+     */
+    static pathToRegex(path) {
+        const segments = path.split('/').filter(Boolean);
+        const source = segments.map((segment, index) => {
+            if (segment !== '**') return `${MeshResolver._globSource(segment, '[^/]')}/`;
+            // A final ** stands for everything below the prefix
+            return index === segments.length - 1 ? '[^/]+(?:/[^/]+)*/' : '(?:[^/]+/)*';
+        }).join('');
+        return new RegExp(`^${source.replace(/\/$/, '')}$`);
+    }
+
+    /**
+     * @param {string} glob
+     * @param {string} anyChar - Regex for one character `*` and `?` may stand for
+     * @returns {string} Regex source
+     */
+    static _globSource(glob, anyChar) {
+        return glob.split(/([*?])/).map(part => {
+            if (part === '*') return `${anyChar}*`;
+            if (part === '?') return anyChar;
+            return MeshResolver.escapeRegex(part);
+        }).join('');
+    }
+
+    static escapeRegex(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    static _toArray(value) {
+        if (value === undefined || value === null) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+}
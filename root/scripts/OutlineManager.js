@@ -3,8 +3,17 @@ import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
 import * as THREE from 'three';
 
+// Default colors of the outline roles a step can declare (overridable per role in the step JSON)
+const ROLE_COLORS = {
+    active: '#07cf1f',
+    mating: '#3399ff',
+    warning: '#ff3333'
+};
+
 /**
  * Manages the Three.js post-processing pipeline for an outline effect.
+ * The base pass outlines the step's own meshes; extra outline roles (e.g. mating or warning parts)
+ * each get their own color from a pool of OutlinePasses that is grown on demand and reused across steps.
  */
 export class OutlineManager {
     constructor(scene, camera, renderer, gui) {
@@ -21,9 +30,13 @@ export class OutlineManager {
         this.blinkVisible = true;
         this.permanentOutline = false; // Flag to prevent blinking during animations
 
-        // Mesh name index (base -> [variants])
-        this._meshIndexBuilt = false;
-        this._meshIndex = new Map();
+        // Extra outline roles: [{ role, meshes, color, pass }] using passes from outlinePassPool
+        this.roleOutlines = [];
+        this.outlinePassPool = [];
+
+        // Pointer hover outline (PartPicker), independent of the step outlines
+        this.hoverPass = null;
+        this.diagnosticPass = null; // authoring highlight (e.g. orphan meshes), independent of steps
 
         this._setupComposer();
         this._setupOutlinePass();
@@ -43,73 +56,6 @@ export class OutlineManager {
         this.composer.addPass(renderPass);
     }
 
-    /**
-     * Build an index of mesh name bases to numbered variants.
-     * Example: camera_1,camera_2 -> base 'camera' => ['camera_1','camera_2'].
-     * Also stores exact names for direct lookup.
-     * @param {THREE.Object3D} root
-     */
-    _buildMeshIndex(root){
-        if (this._meshIndexBuilt) return;
-        const numberSuffixRegex = /^(.*)_([0-9]+)$/;
-        root.traverse(child => {
-            if (!child.isMesh) return;
-            const name = child.name;
-            const match = name.match(numberSuffixRegex);
-            if (match){
-                const base = match[1];
-                if (!this._meshIndex.has(base)) this._meshIndex.set(base, { numbered: [], exact: false });
-                this._meshIndex.get(base).numbered.push(name);
-            } else {
-                // Track presence of exact (non-numbered) names
-                if (!this._meshIndex.has(name)) this._meshIndex.set(name, { numbered: [], exact: true });
-                else this._meshIndex.get(name).exact = true;
-            }
-        });
-        // Sort numbered arrays numerically
-        for (const [base, data] of this._meshIndex.entries()){
-            data.numbered.sort((a,b) => {
-                const ai = parseInt(a.substring(base.length+1));
-                const bi = parseInt(b.substring(base.length+1));
-                return ai - bi;
-            });
-        }
-        this._meshIndexBuilt = true;
-    }
-
-    /**
-     * Expand a list of base names to actual mesh objects (including numbered variants).
-     * @param {THREE.Object3D} root
-     * @param {string[]} baseNames
-     * @returns {THREE.Object3D[]} matched meshes
-     */
-    _expandBaseNames(root, baseNames){
-        this._buildMeshIndex(root);
-        const found = [];
-        const nameSet = new Map(); // avoid duplicates
-        const collectByName = (targetName) => {
-            root.traverse(child => {
-                if (child.isMesh && child.name === targetName && !nameSet.has(targetName)){
-                    found.push(child);
-                    nameSet.set(targetName, true);
-                }
-            });
-        };
-        baseNames.forEach(base => {
-            const entry = this._meshIndex.get(base);
-            if (entry){
-                // Add exact base if present
-                if (entry.exact) collectByName(base);
-                // Add numbered variants
-                entry.numbered.forEach(n => collectByName(n));
-            } else {
-                // Fallback: try direct match only
-                collectByName(base);
-            }
-        });
-        return found;
-    }
-
     _setupOutlinePass() {
         const size = this.renderer.getSize(new THREE.Vector2());
         this.outlinePass = new OutlinePass(size, this.scene, this.camera);
@@ -124,9 +70,99 @@ export class OutlineManager {
         this.outlinePass.hiddenEdgeColor.set('#190a05');
         
         this.composer.addPass(this.outlinePass);
+    }
 
-        // Dynamic passes disabled (single color mode)
-        this.dynamicOutlinePasses = [];
+    /**
+     * Get a pooled OutlinePass for an extra role, creating it (with the base pass settings) when the pool is exhausted
+     * @param {number} index - Index in the pool
+     * @returns {OutlinePass}
+     */
+    _acquireRolePass(index) {
+        if (!this.outlinePassPool[index]) {
+            const pass = this._createPass();
+            pass.enabled = false;
+            this.outlinePassPool.push(pass);
+            console.log(`OutlineManager: Outline pass pool grown to ${this.outlinePassPool.length}`);
+        }
+        return this.outlinePassPool[index];
+    }
+
+    /**
+     * @returns {OutlinePass} New pass with the base pass settings, added to the composer
+     */
+    _createPass() {
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const pass = new OutlinePass(size, this.scene, this.camera);
+        pass.edgeStrength = this.outlinePass.edgeStrength;
+        pass.edgeGlow = this.outlinePass.edgeGlow;
+        pass.edgeThickness = this.outlinePass.edgeThickness;
+        pass.pulsePeriod = this.outlinePass.pulsePeriod;
+        pass.hiddenEdgeColor.copy(this.outlinePass.hiddenEdgeColor);
+        this.composer.addPass(pass);
+        return pass;
+    }
+
+    /**
+     * Outline the part under the pointer (kept separate from the step outline and roles)
+     * @param {THREE.Object3D[]} objects - Objects to outline; empty clears the hover outline
+     * @param {string} color - Hover outline color
+     */
+    setHoverObjects(objects, color = '#ffffff') {
+        if (!this.hoverPass) {
+            if (objects.length === 0) return;
+            this.hoverPass = this._createPass();
+        }
+        this.hoverPass.visibleEdgeColor.set(color);
+        this.hoverPass.selectedObjects = objects.slice();
+        this.hoverPass.enabled = objects.length > 0;
+    }
+
+    /**
+     * Highlight meshes for config authoring (e.g. meshes no MeshGroups.json entry covers);
+     * stays on across steps until cleared
+     * @param {THREE.Object3D[]} objects - Objects to outline; empty clears the highlight
+     * @param {string} color - Highlight color
+     */
+    setDiagnosticObjects(objects, color = '#ff00ff') {
+        if (!this.diagnosticPass) {
+            if (objects.length === 0) return;
+            this.diagnosticPass = this._createPass();
+        }
+        this.diagnosticPass.visibleEdgeColor.set(color);
+        this.diagnosticPass.selectedObjects = objects.slice();
+        this.diagnosticPass.enabled = objects.length > 0;
+    }
+
+    /**
+     * Outline extra roles, each in its own color (replaces the previous roles)
+     * @param {Object[]} roles - [{ role, meshes, color }]; color defaults to the role's color (active/mating/warning)
+     */
+    applyRoles(roles = []) {
+        const activeRoles = roles.filter(entry => entry.meshes?.length > 0);
+        this.roleOutlines = activeRoles.map((entry, index) => {
+            const pass = this._acquireRolePass(index);
+            pass.visibleEdgeColor.set(entry.color || ROLE_COLORS[entry.role] || ROLE_COLORS.active);
+            pass.selectedObjects = entry.meshes.slice();
+            pass.enabled = true;
+            return { role: entry.role, meshes: entry.meshes.slice(), color: entry.color, pass };
+        });
+
+        // Park the passes that are not needed (kept in the composer for the next step)
+        this.outlinePassPool.slice(activeRoles.length).forEach(pass => {
+            pass.selectedObjects = [];
+            pass.enabled = false;
+        });
+    }
+
+    /**
+     * Show or hide every outline (base pass and roles) without losing the selection
+     * @param {boolean} visible
+     */
+    _setOutlinesVisible(visible) {
+        this.outlinePass.selectedObjects = visible ? this.selectedObjects : [];
+        this.roleOutlines.forEach(({ pass, meshes }) => {
+            pass.selectedObjects = visible ? meshes : [];
+        });
     }
 
     /**
@@ -174,7 +210,7 @@ export class OutlineManager {
             this.blinkTimer = 0;
             this.blinkVisible = !this.blinkVisible;
             // Toggle outline visibility by swapping selected objects
-            this.outlinePass.selectedObjects = this.blinkVisible ? this.selectedObjects : [];
+            this._setOutlinesVisible(this.blinkVisible);
         }
     }
 
@@ -190,7 +226,7 @@ export class OutlineManager {
         this.blinkVisible = true;
         if (!enabled) {
             // Restore full visibility
-            this.outlinePass.selectedObjects = this.selectedObjects;
+            this._setOutlinesVisible(true);
         }
     }
 
@@ -203,15 +239,17 @@ export class OutlineManager {
         this.isBlinking = false;
         this.blinkTimer = 0;
         this.blinkVisible = true;
+        this.permanentOutline = false;
+        this.applyRoles([]);
+    }
 
-        // Ensure no dynamic passes remain
-        if (this.dynamicOutlinePasses.length) {
-            this.dynamicOutlinePasses.forEach(p => {
-                const idx = this.composer.passes.indexOf(p);
-                if (idx !== -1) this.composer.passes.splice(idx, 1);
-            });
-            this.dynamicOutlinePasses = [];
-        }
+    /**
+     * Drop every outline (product unload; the passes stay pooled)
+     */
+    reset() {
+        this.clear();
+        this.setHoverObjects([]);
+        this.setDiagnosticObjects([]);
     }
 
     /**
@@ -257,119 +295,12 @@ export class OutlineManager {
             .onChange(value => this.outlinePass.hiddenEdgeColor.set(value));
     }
 
-    setupStepButtons(droneModel, assemblyConfig, meshGroupLoader = null, visibilityManager = null) {
-        if (!this.gui) return;
-
-        const stepsFolder = this.gui.addFolder('Assembly Steps');
-        
-        for (let i = 1; i <= 8; i++) {
-            const stepId = `step-0${i}`;
-            const step = assemblyConfig.steps.find(s => s.id === stepId);
-            
-            const controls = {
-                [`outlineStep${i}`]: async () => {
-                    if (!step) {
-                        console.warn(`Step ${stepId} not found in config`);
-                        return;
-                    }
-
-                    // Reset everything before applying new step
-                    if (visibilityManager) {
-                        visibilityManager.resetPositions();
-                        await visibilityManager.showAll();
-                    }
-
-                    // Expand base names to numbered variants or use group loader
-                    let meshes = [];
-                    const debugCounts = [];
-                    if (meshGroupLoader) {
-                        const baseMeshes = step.involved?.baseMeshes || [];
-                        const assembledGroups = step.involved?.assembledGroups || [];
-                        
-                        // Process base meshes
-                        baseMeshes.forEach(name => {
-                            const groupMeshes = meshGroupLoader.getMeshes(name);
-                            if (groupMeshes) {
-                                meshes.push(...groupMeshes);
-                                debugCounts.push({ name, type: 'base-group', count: groupMeshes.length });
-                            } else {
-                                const direct = this._expandBaseNames(droneModel, [name]);
-                                meshes.push(...direct);
-                                debugCounts.push({ name, type: 'direct', count: direct.length });
-                            }
-                        });
-                        
-                        // Process assembled groups
-                        assembledGroups.forEach(name => {
-                            const assembledMeshes = meshGroupLoader.getAssembledGroupMeshes(name);
-                            if (assembledMeshes) {
-                                meshes.push(...assembledMeshes);
-                                debugCounts.push({ name, type: 'assembled-group', count: assembledMeshes.length });
-                            } else {
-                                console.warn(`Assembled group "${name}" not found in loader`);
-                                debugCounts.push({ name, type: 'assembled-group', count: 0 });
-                            }
-                        });
-                    } else {
-                        // No group loader: use direct expansion on baseMeshes only
-                        const baseMeshes = step.involved?.baseMeshes || [];
-                        meshes = this._expandBaseNames(droneModel, baseMeshes);
-                        baseMeshes.forEach(name => {
-                            const direct = this._expandBaseNames(droneModel, [name]);
-                            debugCounts.push({ name, type: 'direct', count: direct.length });
-                        });
-                    }
-
-                    if (meshes.length === 0) {
-                        console.warn(`No meshes found for step ${stepId}. Check mesh names or prefixes.`);
-                        console.table(debugCounts);
-                        return;
-                    }
-                    console.table(debugCounts);
-
-                    if (step.outline && step.outline.color) {
-                        this.outlinePass.visibleEdgeColor.set(step.outline.color);
-                    }
-
-                    this.applySingleColorOutline(meshes, step.outline?.color);
-                    const blinkFreq = step.outline?.blinkFreq || 2.0;
-                    const blinking = step.outline?.blinking !== false;
-                    this.setBlinking(blinking, blinkFreq);
-
-                    console.log(`OutlineManager: Step ${i} - outlined ${meshes.length} meshes`);
-
-                    if (visibilityManager) {
-                        await visibilityManager.showOnlyStepMeshes(step);
-                    }
-                }
-            };
-
-            const label = step ? step.label : `Step ${i}`;
-            stepsFolder.add(controls, `outlineStep${i}`).name(`Outline ${label}`);
-        }
-
-        // Add a clear button
-        const clearControls = {
-            clearOutline: () => this.clear()
-        };
-        stepsFolder.add(clearControls, 'clearOutline').name('Clear Outline');
-    }
-
     /**
      * Apply single color outline using the base OutlinePass.
      * @param {THREE.Object3D[]} meshes
      * @param {string|THREE.Color} color Optional color to set
      */
     applySingleColorOutline(meshes, color){
-        // Remove any dynamic passes if present
-        if (this.dynamicOutlinePasses.length) {
-            this.dynamicOutlinePasses.forEach(p => {
-                const idx = this.composer.passes.indexOf(p);
-                if (idx !== -1) this.composer.passes.splice(idx, 1);
-            });
-            this.dynamicOutlinePasses = [];
-        }
-
         // Assign selection to base pass
         this.selectedObjects = meshes.slice();
         this.outlinePass.selectedObjects = this.selectedObjects;
@@ -385,151 +316,47 @@ export class OutlineManager {
     }
 
     /**
-     * Apply outline for a step (outline only, no visibility or movement changes)
-     * @param {Object} step - The step configuration
-     * @param {THREE.Object3D} droneModel - The drone model
-     * @param {MeshGroupLoader} meshGroupLoader - The mesh group loader
-     * @param {boolean} enableBlinking - Whether to enable blinking (default true)
-     * @param {VisibilityManager} visibilityManager - Optional visibility manager for resetting
+     * Outline meshes with step options.
+     * @param {THREE.Object3D[]} meshes
+     * @param {Object} options - { color, blinking, blinkFreq, permanent, roles }
+     *                           `permanent` locks the outline on (no blinking) until the next apply/clear.
+     *                           `roles` are extra outline sets in their own colors (see applyRoles).
      */
-    async applyStepOutline(step, droneModel, meshGroupLoader, enableBlinking = true, visibilityManager = null) {
-        if (!step) return;
-
-        // Reset everything before applying new step outline
-        if (visibilityManager) {
-            visibilityManager.resetPositions();
-            await visibilityManager.showAll();
-        }
-        // Clear any existing outlines
-        this.clear();
-        // Reset permanent outline flag to allow blinking on hover
-        this.permanentOutline = false;
-
-        let meshes = [];
-        const baseMeshes = step.involved?.baseMeshes || [];
-        const assembledGroups = step.involved?.assembledGroups || [];
-        
-        if (meshGroupLoader) {
-            // Process base meshes
-            baseMeshes.forEach(name => {
-                const groupMeshes = meshGroupLoader.getMeshes(name);
-                if (groupMeshes) {
-                    meshes.push(...groupMeshes);
-                } else {
-                    const direct = this._expandBaseNames(droneModel, [name]);
-                    meshes.push(...direct);
-                }
-            });
-            
-            // Process assembled groups
-            assembledGroups.forEach(name => {
-                const assembledMeshes = meshGroupLoader.getAssembledGroupMeshes(name);
-                if (assembledMeshes) {
-                    meshes.push(...assembledMeshes);
-                }
-            });
-        } else {
-            // No group loader: use direct expansion on baseMeshes only
-            meshes = this._expandBaseNames(droneModel, baseMeshes);
-        }
-
-        if (meshes.length === 0) {
-            console.warn(`No meshes found for step ${step.id}`);
-            return;
-        }
-
-        // Set outline color
-        if (step.outline && step.outline.color) {
-            this.outlinePass.visibleEdgeColor.set(step.outline.color);
-        }
-
-        // Apply outline
-        this.applySingleColorOutline(meshes, step.outline?.color);
-        
-        // Set blinking (only if enabled)
-        if (enableBlinking) {
-            const blinkFreq = step.outline?.blinkFreq || 2.0;
-            const blinking = step.outline?.blinking !== false;
-            this.setBlinking(blinking, blinkFreq);
-        } else {
-            this.setBlinking(false, 0);
-        }
-
-        console.log(`OutlineManager: Applied outline for step ${step.id} - ${meshes.length} meshes (blinking: ${enableBlinking})`);
+    apply(meshes, { color, blinking = false, blinkFreq = 2.0, permanent = false, roles = [] } = {}) {
+        this.applySingleColorOutline(meshes, color);
+        this.applyRoles(roles);
+        this.permanentOutline = permanent;
+        this.setBlinking(blinking && !permanent, blinkFreq);
     }
 
     /**
-     * Apply full step animation (outline + fade + center + assembly)
-     * @param {Object} step - The step configuration
-     * @param {THREE.Object3D} droneModel - The drone model
-     * @param {MeshGroupLoader} meshGroupLoader - The mesh group loader
-     * @param {VisibilityManager} visibilityManager - The visibility manager
-     * @param {AssemblyAnimator} assemblyAnimator - The assembly animator (optional)
+     * Snapshot the current outline (for StepStateStore)
+     * @returns {Object} { meshes, color, blinking, blinkFreq, permanent, roles }
      */
-    async applyFullStepAnimation(step, droneModel, meshGroupLoader, visibilityManager, assemblyAnimator = null) {
-        if (!step) return;
-
-        // Reset everything before applying new step
-        if (visibilityManager) {
-            visibilityManager.resetPositions();
-            await visibilityManager.showAll();
-        }
-
-        let meshes = [];
-        const baseMeshes = step.involved?.baseMeshes || [];
-        const assembledGroups = step.involved?.assembledGroups || [];
-        
-        if (meshGroupLoader) {
-            // Process base meshes
-            baseMeshes.forEach(name => {
-                const groupMeshes = meshGroupLoader.getMeshes(name);
-                if (groupMeshes) {
-                    meshes.push(...groupMeshes);
-                } else {
-                    const direct = this._expandBaseNames(droneModel, [name]);
-                    meshes.push(...direct);
-                }
-            });
-            
-            // Process assembled groups
-            assembledGroups.forEach(name => {
-                const assembledMeshes = meshGroupLoader.getAssembledGroupMeshes(name);
-                if (assembledMeshes) {
-                    meshes.push(...assembledMeshes);
-                }
-            });
-        } else {
-            // No group loader: use direct expansion on baseMeshes only
-            meshes = this._expandBaseNames(droneModel, baseMeshes);
-        }
+    getState() {
+        return {
+            meshes: this.selectedObjects.slice(),
+            color: `#${this.outlinePass.visibleEdgeColor.getHexString()}`,
+            blinking: this.isBlinking,
+            blinkFreq: this.blinkFreq,
+            permanent: this.permanentOutline,
+            roles: this.roleOutlines.map(({ role, meshes, pass }) => ({
+                role,
+                meshes: meshes.slice(),
+                color: `#${pass.visibleEdgeColor.getHexString()}`
+            }))
+        };
+    }
 
-        if (meshes.length === 0) {
-            console.warn(`No meshes found for step ${step.id}`);
+    /**
+     * Restore an outline captured with getState()
+     * @param {Object|null} state - Outline state; null/empty clears the outline
+     */
+    restoreState(state) {
+        if (!state || (state.meshes.length === 0 && !state.roles?.length)) {
+            this.clear();
             return;
         }
-
-        // Set outline color
-        if (step.outline && step.outline.color) {
-            this.outlinePass.visibleEdgeColor.set(step.outline.color);
-        }
-
-        // Apply outline with NO blinking (permanent)
-        this.applySingleColorOutline(meshes, step.outline?.color);
-        this.setBlinking(false, 0);
-        this.permanentOutline = true; // Lock outline as permanent during animation
-
-        console.log(`OutlineManager: Full animation for step ${step.id} - ${meshes.length} meshes (permanent outline)`);
-
-        // Wait 0.5 seconds with permanent outline
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        // Apply visibility and centering animation (custom sequence)
-        // Ensure blinking stays off throughout the animation
-        if (visibilityManager) {
-            await visibilityManager.showOnlyStepMeshesWithFade(step, assemblyAnimator, droneModel);
-            // Keep blinking disabled and permanent outline locked
-            this.setBlinking(false, 0);
-            // Note: permanentOutline stays true until next hover
-        }
+        this.apply(state.meshes, state);
     }
 }
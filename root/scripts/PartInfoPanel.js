@@ -0,0 +1,121 @@
+/**
+ * Side panel with the catalogue data of the picked part, or the part list of the focused step.
+ * Backed by the #partInfoPanel element in index.html; content comes from PartsCatalog, counted
+ * quantities from the product's BillOfMaterials.
+ */
+export class PartInfoPanel {
+    constructor() {
+        this.container = document.getElementById('partInfoPanel');
+        this.catalog = null;
+        this.bom = null;
+
+        if (!this.container) return;
+        this.titleElement = this.container.querySelector('.part-info-title');
+        this.subtitleElement = this.container.querySelector('.part-info-subtitle');
+        this.bodyElement = this.container.querySelector('.part-info-body');
+        this.closeButton = this.container.querySelector('.part-info-close');
+    }
+
+    /**
+     * @param {PartsCatalog} catalog
+     */
+    initialize(catalog) {
+        this.catalog = catalog;
+        if (!this.container) {
+            console.warn('PartInfoPanel: Container not found');
+            return;
+        }
+        this.closeButton?.addEventListener('click', () => this.hide());
+    }
+
+    /**
+     * @param {BillOfMaterials} bom - Bill of materials of the loaded product
+     */
+    setBillOfMaterials(bom) {
+        this.bom = bom;
+    }
+
+    /**
+     * Show one part
+     * @param {string} baseName - MeshGroups.json base name
+     * @param {Object} context - Optional { meshName, assembledGroups, stepLabel }
+     */
+    showPart(baseName, { meshName = null, assembledGroups = [], stepLabel = null } = {}) {
+        if (!this.container || !this.catalog) return;
+        const part = this.catalog.describe(baseName);
+        const quantity = this.bom?.getRow(baseName)?.quantity ?? part.quantity;
+
+        this.titleElement.textContent = part.name;
+        this.subtitleElement.textContent = part.partNumber || baseName;
+        this.bodyElement.replaceChildren(this._createFields([
+            ['Part number', part.partNumber],
+            ['Quantity', quantity],
+            ['Material', part.material],
+            ['Torque', part.torque],
+            ['Notes', part.notes],
+            ['Base name', baseName],
+            ['Mesh', meshName !== baseName ? meshName : null],
+            ['Groups', assembledGroups.length ? assembledGroups.join(', ') : null],
+            ['Installed in', stepLabel]
+        ]));
+        this._show();
+    }
+
+    /**
+     * Show the parts of a step
+     * @param {Object} step - Step configuration
+     * @param {Object} parts - { baseNames, prebuilt } from AssemblyManager.getStepParts
+     */
+    showStep(step, { baseNames = [], prebuilt = [] } = {}) {
+        if (!this.container || !this.catalog) return;
+
+        this.titleElement.textContent = step.label || step.id;
+        this.subtitleElement.textContent = `${baseNames.length} part${baseNames.length !== 1 ? 's' : ''}`;
+
+        const list = document.createElement('ul');
+        list.className = 'part-info-list';
+        baseNames.forEach(baseName => {
+            const part = this.catalog.describe(baseName);
+            const quantity = this.bom?.getRow(baseName)?.quantity ?? part.quantity ?? 1;
+            const item = document.createElement('li');
+            item.className = 'part-info-list-item';
+            item.textContent = `${quantity} × ${part.name}${part.partNumber ? ` (${part.partNumber})` : ''}`;
+            item.addEventListener('click', () => this.showPart(baseName, { stepLabel: step.label || step.id }));
+            list.appendChild(item);
+        });
+        prebuilt.forEach(name => {
+            const item = document.createElement('li');
+            item.className = 'part-info-list-item prebuilt';
+            item.textContent = `Subassembly: ${name}`;
+            list.appendChild(item);
+        });
+        this.bodyElement.replaceChildren(list);
+        this._show();
+    }
+
+    hide() {
+        if (this.container) this.container.style.display = 'none';
+    }
+
+    _show() {
+        this.container.style.display = 'flex';
+    }
+
+    /**
+     * @param {Array[]} fields - [label, value] pairs; empty values are skipped
+     * @returns {HTMLElement}
+     */
+    _createFields(fields) {
+        const list = document.createElement('dl');
+        list.className = 'part-info-fields';
+        fields.forEach(([label, value]) => {
+            if (value === null || value === undefined || value === '') return;
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            list.append(term, detail);
+        });
+        return list;
+    }
+}
@@ -0,0 +1,223 @@
+import * as THREE from 'three';
+
+// Pointer travel (px) between press and release above which a release counts as an orbit drag, not a click
+const CLICK_TOLERANCE = 5;
+
+/**
+ * Desktop pointer picking of individual parts.
+ * Hovering outlines the part under the cursor (OutlineManager hover pass) and shows a tooltip with
+ * the mesh name and its MeshGroupLoader base/assembled groups; clicking jumps to the step that
+ * installs the part (AssemblyManager build state, derived from the `involved` lists).
+ * Raycasting happens once per frame in update(), not on every pointer event.
+ */
+export class PartPicker {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {HTMLCanvasElement} canvas - Renderer canvas receiving the pointer events
+     */
+    constructor(camera, canvas) {
+        this.camera = camera;
+        this.canvas = canvas;
+        this.tooltip = document.getElementById('partTooltip');
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerClient = { x: 0, y: 0 };
+        this.pointerInside = false;
+        this.needsPick = false;
+        this.downPosition = null;
+
+        this.model = null;
+        this.outlineManager = null;
+        this.meshGroupLoader = null;
+        this.assemblyManager = null;
+        this.onPick = null;
+        this.clickHandler = null; // replaces the default click behaviour while set (StepEditor authoring, MeshGroupEditorUI)
+        this.hoveredMesh = null;
+        this.enabled = true;
+        this._listening = false;
+    }
+
+    /**
+     * @param {Object} options - { model, outlineManager, meshGroupLoader, assemblyManager, onPick }
+     *                           `onPick(mesh, { baseName, assembledGroups, step })` is called when a part is clicked
+     */
+    initialize({ model, outlineManager, meshGroupLoader, assemblyManager, onPick = null }) {
+        this.model = model;
+        this.onPick = onPick;
+        this.outlineManager = outlineManager;
+        this.meshGroupLoader = meshGroupLoader;
+        this.assemblyManager = assemblyManager;
+
+        if (this._listening) return;
+        this._listening = true;
+
+        this.canvas.addEventListener('pointermove', (event) => {
+            this._setPointer(event);
+            this.needsPick = true;
+        });
+        this.canvas.addEventListener('pointerleave', () => {
+            this.pointerInside = false;
+            this._setHovered(null);
+        });
+        this.canvas.addEventListener('pointerdown', (event) => {
+            this.downPosition = { x: event.clientX, y: event.clientY };
+        });
+        this.canvas.addEventListener('pointerup', (event) => {
+            if (!this.downPosition || event.button !== 0) return;
+            const moved = Math.hypot(event.clientX - this.downPosition.x, event.clientY - this.downPosition.y);
+            this.downPosition = null;
+            if (moved > CLICK_TOLERANCE) return;
+
+            this._setPointer(event);
+            this._onClick(this.pick(), event);
+        });
+        console.log('PartPicker: Initialized');
+    }
+
+    _setPointer(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.pointerClient = { x: event.clientX, y: event.clientY };
+        this.pointerInside = true;
+    }
+
+    /**
+     * Take over part clicks (hover stays as is)
+     * @param {Function|null} handler - (mesh, pointerEvent) called for clicked parts; null restores the default
+     */
+    setClickHandler(handler) {
+        this.clickHandler = handler;
+    }
+
+    /**
+     * Forget the unloaded model (listeners stay on the canvas for the next product)
+     */
+    dispose() {
+        this._setHovered(null);
+        this.model = null;
+        this.meshGroupLoader = null;
+        this.assemblyManager = null;
+        this.onPick = null;
+        this.clickHandler = null;
+    }
+
+    /**
+     * Raycast the model at the current pointer position
+     * @returns {THREE.Mesh|null} Closest visible part under the pointer
+     */
+    pick() {
+        if (!this.model) return null;
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        const hit = this.raycaster.intersectObject(this.model, true)
+            .find(({ object }) => object.isMesh && this._isPickable(object));
+        return hit ? hit.object : null;
+    }
+
+    /**
+     * Faded-out (opacity 0) and hidden meshes are skipped so the part behind them is picked
+     * @param {THREE.Mesh} mesh
+     */
+    _isPickable(mesh) {
+        for (let object = mesh; object; object = object.parent) {
+            if (!object.visible) return false;
+        }
+        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        return materials.some(mat => mat && (!mat.transparent || mat.opacity > 0.05));
+    }
+
+    /**
+     * Refresh the hover outline and tooltip (call each frame)
+     * @param {boolean} isPresenting - True while in XR (picking is desktop only)
+     */
+    update(isPresenting = false) {
+        if (!this.enabled || isPresenting) {
+            this._setHovered(null);
+            return;
+        }
+        if (!this.needsPick || !this.pointerInside) return;
+        this.needsPick = false;
+
+        this._setHovered(this.pick());
+        if (this.hoveredMesh) this._positionTooltip();
+    }
+
+    _setHovered(mesh) {
+        if (mesh === this.hoveredMesh) return;
+        this.hoveredMesh = mesh;
+        this.outlineManager?.setHoverObjects(mesh ? [mesh] : []);
+        this.canvas.style.cursor = mesh ? 'pointer' : '';
+
+        if (!this.tooltip) return;
+        if (!mesh) {
+            this.tooltip.style.display = 'none';
+            return;
+        }
+        this._renderTooltip(mesh);
+        this.tooltip.style.display = 'block';
+    }
+
+    _renderTooltip(mesh) {
+        const { baseName, assembledGroups } = this.meshGroupLoader?.getMeshGroups(mesh)
+            || { baseName: null, assembledGroups: [] };
+
+        this.tooltip.replaceChildren();
+        const title = document.createElement('div');
+        title.className = 'part-tooltip-name';
+        title.textContent = mesh.name || '(unnamed mesh)';
+        this.tooltip.appendChild(title);
+
+        const rows = [
+            ['Base', baseName || '—'],
+            ['Groups', assembledGroups.length ? assembledGroups.join(', ') : '—']
+        ];
+        const index = this._getInstallingStep(mesh);
+        if (index !== -1) {
+            const step = this.assemblyManager.getSteps()[index];
+            rows.push(['Step', `${index + 1}. ${step.label || step.id}`]);
+        }
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'part-tooltip-row';
+            row.textContent = `${label}: ${value}`;
+            this.tooltip.appendChild(row);
+        });
+    }
+
+    _positionTooltip() {
+        if (!this.tooltip) return;
+        this.tooltip.style.left = `${this.pointerClient.x + 14}px`;
+        this.tooltip.style.top = `${this.pointerClient.y + 14}px`;
+    }
+
+    /**
+     * @param {THREE.Mesh} mesh
+     * @returns {number} Index of the step that installs the mesh, -1 if none
+     */
+    _getInstallingStep(mesh) {
+        if (!this.assemblyManager?.assembly_config) return -1;
+        return this.assemblyManager.getBuildState().getInstallingStep(mesh);
+    }
+
+    _onClick(mesh, event) {
+        if (!this.enabled || !mesh) return;
+        if (this.clickHandler) {
+            this.clickHandler(mesh, event);
+            return;
+        }
+        const index = this._getInstallingStep(mesh);
+        if (this.onPick) {
+            const groups = this.meshGroupLoader?.getMeshGroups(mesh) || { baseName: null, assembledGroups: [] };
+            this.onPick(mesh, { ...groups, step: index !== -1 ? this.assemblyManager.getSteps()[index] : null });
+        }
+        if (index === -1) {
+            console.log(`PartPicker: "${mesh.name}" is not installed by any step`);
+            return;
+        }
+        console.log(`PartPicker: "${mesh.name}" is installed in step ${index + 1}`);
+        this.assemblyManager.goToStep(index);
+    }
+}
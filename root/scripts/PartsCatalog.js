@@ -0,0 +1,60 @@
+/**
+ * Optional bill-of-materials metadata per product (PartsCatalog.json next to MeshGroups.json),
+ * keyed by MeshGroups.json base name:
+ * { "parts": { "<baseName>": { name, partNumber, quantity, material, torque, notes } } }
+ * Parts without an entry fall back to their base name, so a product can ship a partial catalogue or none.
+ * `quantity` is only needed for parts that are not modelled once per copy; otherwise the count of
+ * mesh variants (see BillOfMaterials) is used.
+ */
+export class PartsCatalog {
+    constructor() {
+        this.parts = new Map();
+    }
+
+    /**
+     * @param {string} catalogPath - Path to PartsCatalog.json (optional; no path means an empty catalogue)
+     */
+    async initialize(catalogPath) {
+        this.parts.clear();
+        if (!catalogPath) return;
+
+        try {
+            const response = await fetch(catalogPath);
+            if (!response.ok) throw new Error(`Failed to load parts catalog: ${response.status}`);
+            const catalog = await response.json();
+            Object.entries(catalog.parts || {}).forEach(([baseName, entry]) => {
+                this.parts.set(baseName, entry);
+            });
+            console.log(`PartsCatalog: Loaded ${this.parts.size} parts`);
+        } catch (error) {
+            console.warn('PartsCatalog: Catalog not available, showing base names only', error);
+        }
+    }
+
+    /**
+     * @param {string} baseName
+     * @returns {Object|null} Raw catalogue entry
+     */
+    getPart(baseName) {
+        return this.parts.get(baseName) || null;
+    }
+
+    /**
+     * Catalogue data of a part with defaults filled in
+     * @param {string} baseName
+     * @returns {Object} { baseName, name, partNumber, quantity, material, torque, notes, inCatalog }
+     */
+    describe(baseName) {
+        const entry = this.getPart(baseName);
+        return {
+            baseName,
+            name: entry?.name || baseName,
+            partNumber: entry?.partNumber || null,
+            quantity: entry?.quantity ?? null,
+            material: entry?.material || null,
+            torque: entry?.torque || null,
+            notes: entry?.notes || null,
+            inCatalog: !!entry
+        };
+    }
+}
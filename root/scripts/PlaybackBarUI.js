@@ -0,0 +1,85 @@
+/**
+ * Playback bar for the current step's assembly animation.
+ * Pause/resume, scrub, replay and reverse (disassembly) are forwarded to AssemblyAnimator;
+ * the bar is shown while a step timeline is loaded and refreshed from the render loop.
+ */
+export class PlaybackBarUI {
+    constructor() {
+        this.container = document.getElementById('playbackBar');
+        this.controller = null;
+        this.isScrubbing = false;
+        this.wasPausedBeforeScrub = false;
+
+        if (!this.container) return;
+        this.toggleButton = this.container.querySelector('[data-action="toggle"]');
+        this.replayButton = this.container.querySelector('[data-action="replay"]');
+        this.reverseButton = this.container.querySelector('[data-action="reverse"]');
+        this.scrubber = this.container.querySelector('.playback-scrub');
+        this.timeLabel = this.container.querySelector('.playback-time');
+    }
+
+    /**
+     * @param {AssemblyAnimator} controller - Owner of the step playback
+     */
+    initialize(controller) {
+        if (!this.container) {
+            console.warn('PlaybackBarUI: Container not found');
+            return;
+        }
+        this.controller = controller;
+
+        this.toggleButton.addEventListener('click', () => {
+            const state = this.controller.getPlaybackState();
+            if (!state) return;
+            if (state.paused) {
+                this.controller.resumePlayback();
+            } else {
+                this.controller.pausePlayback();
+            }
+        });
+        this.replayButton.addEventListener('click', () => this.controller.replayPlayback());
+        this.reverseButton.addEventListener('click', () => this.controller.reversePlayback());
+
+        // Scrubbing pauses playback while dragging and restores the previous state afterwards
+        this.scrubber.addEventListener('pointerdown', () => {
+            const state = this.controller.getPlaybackState();
+            if (!state) return;
+            this.isScrubbing = true;
+            this.wasPausedBeforeScrub = state.paused;
+            this.controller.pausePlayback();
+        });
+        this.scrubber.addEventListener('input', () => {
+            const state = this.controller.getPlaybackState();
+            if (!state) return;
+            this.controller.seekPlayback(parseFloat(this.scrubber.value) * state.duration);
+        });
+        const endScrub = () => {
+            if (!this.isScrubbing) return;
+            this.isScrubbing = false;
+            const state = this.controller.getPlaybackState();
+            // Released at the end it is heading to: stay there instead of starting over
+            const atEnd = state && (state.direction > 0 ? state.time >= state.duration : state.time <= 0);
+            if (!this.wasPausedBeforeScrub && !atEnd) this.controller.resumePlayback();
+        };
+        this.scrubber.addEventListener('change', endScrub);
+        this.scrubber.addEventListener('pointerup', endScrub);
+    }
+
+    /**
+     * Sync the bar with the playback state (call each frame)
+     */
+    update() {
+        if (!this.container || !this.controller) return;
+        const state = this.controller.getPlaybackState();
+        this.container.style.display = state ? 'flex' : 'none';
+        if (!state) return;
+
+        if (!this.isScrubbing) {
+            this.scrubber.value = state.duration > 0 ? state.time / state.duration : 0;
+        }
+        this.toggleButton.textContent = state.paused ? '▶' : '❚❚';
+        this.toggleButton.title = state.paused ? 'Play' : 'Pause';
+        this.reverseButton.classList.toggle('active', state.direction < 0 && !state.paused);
+        this.timeLabel.textContent = `${state.time.toFixed(1)} / ${state.duration.toFixed(1)} s`;
+    }
+}
@@ -1,89 +1,197 @@
 /**
  * ProductSelector - Handles product selection UI at startup
- * Displays cards for user to choose between different products (Drone, Line Follower, etc.)
+ * Renders a card per product listed in the products.json manifest (Drone, Line Follower, etc.);
+ * adding a kit means adding its entry and config files, not editing JS or HTML.
+ *
+ * Manifest entry: { id, name, icon, description, thumbnail, modelPath, meshGroupsPath, assemblyPath,
+ *                   animationsPath, catalogPath, scale, position }
  */
 export class ProductSelector {
-    constructor() {
+    /**
+     * @param {string} manifestPath - Path to the products manifest
+     */
+    constructor(manifestPath = 'jsons/products.json') {
+        this.manifestPath = manifestPath;
+        this.products = new Map();
         this.selectedProduct = null;
         this.onSelectCallback = null;
     }
 
     /**
-     * Initialize the product selector
-     * @param {Function} onSelect - Callback function when product is selected (receives product name)
+     * Load the manifest and render the product cards
+     * @param {Function} onSelect - Callback when a product is selected (receives the product id and its config)
      */
-    initialize(onSelect) {
+    async initialize(onSelect) {
         this.onSelectCallback = onSelect;
-        
-        // Get all product cards
-        const productCards = document.querySelectorAll('.product-card');
-        
-        productCards.forEach(card => {
-            card.addEventListener('click', () => {
-                const productType = card.getAttribute('data-product');
-                this.selectProduct(productType);
-            });
+
+        try {
+            await this.loadManifest();
+        } catch (error) {
+            console.error('ProductSelector: Failed to load products', error);
+            this.showError(`Could not load the product list (${this.manifestPath}): ${error.message}`);
+            return;
+        }
+
+        this.renderCards();
+        console.log(`ProductSelector initialized with ${this.products.size} products`);
+    }
+
+    /**
+     * Fetch products.json and index its entries by id
+     */
+    async loadManifest() {
+        const response = await fetch(this.manifestPath);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const manifest = await response.json();
+
+        this.products.clear();
+        (manifest.products || []).forEach(product => {
+            if (!product.id || !product.modelPath || !product.assemblyPath) {
+                console.warn('ProductSelector: Skipping product without id, modelPath or assemblyPath', product);
+                return;
+            }
+            if (this.products.has(product.id)) {
+                console.warn(`ProductSelector: Duplicate product id "${product.id}" ignored`);
+                return;
+            }
+            this.products.set(product.id, product);
         });
-        
-        console.log('ProductSelector initialized');
+        if (this.products.size === 0) throw new Error('no products listed');
+    }
+
+    /**
+     * Render a card per product into the selection screen
+     */
+    renderCards() {
+        const container = document.querySelector('.product-cards');
+        if (!container) {
+            console.warn('ProductSelector: Card container not found');
+            return;
+        }
+
+        container.replaceChildren(...Array.from(this.products.values()).map(product => {
+            const card = document.createElement('div');
+            card.className = 'product-card';
+            card.dataset.product = product.id;
+
+            if (product.thumbnail) {
+                const thumbnail = document.createElement('img');
+                thumbnail.className = 'product-card-thumbnail';
+                thumbnail.src = product.thumbnail;
+                thumbnail.alt = product.name || product.id;
+                card.appendChild(thumbnail);
+            } else {
+                const icon = document.createElement('div');
+                icon.className = 'product-card-icon';
+                icon.textContent = product.icon || '📦';
+                card.appendChild(icon);
+            }
+
+            const title = document.createElement('h2');
+            title.className = 'product-card-title';
+            title.textContent = product.name || product.id;
+            card.appendChild(title);
+
+            if (product.description) {
+                const description = document.createElement('p');
+                description.className = 'product-card-description';
+                description.textContent = product.description;
+                card.appendChild(description);
+            }
+
+            card.addEventListener('click', () => this.selectProduct(product.id));
+            return card;
+        }));
     }
 
     /**
      * Handle product selection
-     * @param {string} productType - The selected product type (e.g., 'drone', 'line-follower')
+     * @param {string} productId - The selected product id (e.g., 'drone', 'line-follower')
+     * @param {Object} options - { animate } false hides the selection screen at once (deep links)
      */
-    selectProduct(productType) {
-        console.log(`Product selected: ${productType}`);
-        this.selectedProduct = productType;
-        
+    selectProduct(productId, { animate = true } = {}) {
+        console.log(`Product selected: ${productId}`);
+        let config;
+        try {
+            config = this.getProductConfig(productId);
+        } catch (error) {
+            console.error('ProductSelector:', error.message);
+            this.showError(error.message);
+            return;
+        }
+        this.selectedProduct = productId;
+        this.showError(null);
+
         // Hide the selection screen with fade out
         const overlay = document.getElementById('productSelection');
         if (overlay) {
             overlay.classList.add('fade-out');
-            
-            // Wait for fade animation to complete
-            setTimeout(() => {
+
+            const hide = () => {
                 overlay.style.display = 'none';
-                
+
                 // Show step cards container
                 const stepCardsContainer = document.getElementById('stepCardsContainer');
                 if (stepCardsContainer) {
                     stepCardsContainer.style.display = 'flex';
                 }
-                
+
                 // Call the callback with selected product
                 if (this.onSelectCallback) {
-                    this.onSelectCallback(productType);
+                    this.onSelectCallback(productId, config);
                 }
-            }, 500); // Match CSS animation duration
+            };
+
+            // Wait for fade animation to complete
+            if (animate) {
+                setTimeout(hide, 500); // Match CSS animation duration
+            } else {
+                hide();
+            }
+        }
+    }
+
+    /**
+     * Bring the selection screen back (after the current product was unloaded)
+     */
+    show() {
+        this.selectedProduct = null;
+        const stepCardsContainer = document.getElementById('stepCardsContainer');
+        if (stepCardsContainer) stepCardsContainer.style.display = 'none';
+
+        const overlay = document.getElementById('productSelection');
+        if (overlay) {
+            overlay.classList.remove('fade-out');
+            overlay.style.display = 'flex';
         }
     }
 
     /**
      * Get the configuration paths for a specific product
-     * @param {string} productType - The product type
+     * @param {string} productId - The product id from products.json
      * @returns {Object} Configuration paths
+     * @throws {Error} If the manifest has no product with this id
      */
-    static getProductConfig(productType) {
-        const configs = {
-            'drone': {
-                modelPath: 'assets/drone.glb',
-                meshGroupsPath: 'jsons/ConfigJson/drone/MeshGroups.json',
-                assemblyPath: 'jsons/ConfigJson/drone/AssemblyManager.json',
-                animationsPath: 'jsons/ConfigJson/drone/AssemblyAnimations.json',
-                scale: 2,
-                position: [0, 0, 0]
-            },
-            'line-follower': {
-                modelPath: 'assets/line_follower.glb',
-                meshGroupsPath: 'jsons/ConfigJson/line-follower/MeshGroups.json',
-                assemblyPath: 'jsons/ConfigJson/line-follower/AssemblyManager.json',
-                animationsPath: 'jsons/ConfigJson/line-follower/AssemblyAnimations.json',
-                scale: 2,
-                position: [0, 0, 0]
-            }
+    getProductConfig(productId) {
+        const product = this.products.get(productId);
+        if (!product) {
+            throw new Error(`Unknown product "${productId}" (not listed in ${this.manifestPath})`);
+        }
+        return {
+            scale: 1,
+            position: [0, 0, 0],
+            ...product
         };
+    }
 
-        return configs[productType] || configs['drone'];
+    /**
+     * Show (or clear, with null) an error on the selection screen
+     * @param {string|null} message
+     */
+    showError(message) {
+        const errorElement = document.querySelector('.product-selection-error');
+        if (!errorElement) return;
+        errorElement.textContent = message || '';
+        errorElement.hidden = !message;
     }
 }
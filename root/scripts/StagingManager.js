@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+
+/**
+ * Moves a step's meshes toward a focal point for viewing and returns them to their loaded
+ * transforms afterwards. Original transforms come from the StepStateStore baseline, so
+ * `unstage()` also undoes rotations/scales applied by animations or MeshGroupLoader.scaleGroup.
+ */
+export class StagingManager {
+    /**
+     * @param {StepStateStore} stateStore - Holds the loaded-state snapshots
+     * @param {TweenManager} tweenManager - Clock driving the staging move
+     */
+    constructor(stateStore, tweenManager) {
+        this.stateStore = stateStore;
+        this.tweenManager = tweenManager;
+        this.stagedMeshes = new Set();
+    }
+
+    /**
+     * Move meshes so their combined center lands on (or within `radius` of) a world point,
+     * preserving their relative offsets
+     * @param {THREE.Mesh[]} meshes
+     * @param {Object} options - The step's `staging` block: { toCenter, centerPoint: [x, y, z] (default origin), radius, duration (seconds) }
+     * @param {CancellationToken} token - Optional token that aborts the move
+     */
+    async stage(meshes, { toCenter = true, centerPoint = [0, 0, 0], radius = 0, duration = 1.5 } = {}, token = null) {
+        if (!toCenter || meshes.length === 0) return;
+
+        const boundingBox = new THREE.Box3();
+        
+        // Calculate bounding box for all meshes
+        meshes.forEach(mesh => {
+            const meshBox = new THREE.Box3().setFromObject(mesh);
+            boundingBox.union(meshBox);
+        });
+
+        const center = new THREE.Vector3();
+        boundingBox.getCenter(center);
+
+        // Target: the center point, or the closest point within `radius` of it
+        const stagePoint = new THREE.Vector3().fromArray(centerPoint);
+        const target = center.clone().sub(stagePoint);
+        if (target.length() > radius) target.setLength(radius);
+        target.add(stagePoint);
+
+        // Calculate offset for translation
+        const offset = target.sub(center);
+        console.log(`StagingManager: Calculated offset (${offset.x.toFixed(2)}, ${offset.y.toFixed(2)}, ${offset.z.toFixed(2)})`);
+        
+        // Store start positions and calculate target positions
+        const animations = meshes.map(mesh => {
+            this.stagedMeshes.add(mesh);
+
+            const startWorldPos = new THREE.Vector3();
+            mesh.getWorldPosition(startWorldPos);
+            
+            const targetWorldPos = startWorldPos.clone().add(offset);
+            
+            // Convert target world position to local position
+            let targetLocalPos = targetWorldPos.clone();
+            if (mesh.parent) {
+                const parentMatrixInverse = new THREE.Matrix4().copy(mesh.parent.matrixWorld).invert();
+                targetLocalPos.applyMatrix4(parentMatrixInverse);
+            }
+            
+            return {
+                mesh,
+                startPos: mesh.position.clone(),
+                targetPos: targetLocalPos
+            };
+        });
+        
+        await this.tweenManager.tween({
+            duration,
+            easing: 'easeInOutQuad',
+            token,
+            onUpdate: (eased) => {
+                // Update mesh positions
+                animations.forEach(({ mesh, startPos, targetPos }) => {
+                    mesh.position.lerpVectors(startPos, targetPos, eased);
+                });
+            }
+        });
+        console.log(`StagingManager: Staged ${meshes.length} meshes`);
+    }
+
+    /**
+     * Forget the staged meshes of the unloaded product (no transforms are touched)
+     */
+    dispose() {
+        this.stagedMeshes.clear();
+    }
+
+    /**
+     * Return meshes to their loaded transforms (position, rotation and scale)
+     * @param {THREE.Mesh[]|string} target - Meshes to unstage, or 'all' for every mesh of the model
+     */
+    unstage(target = 'all') {
+        const meshes = target === 'all' ? undefined : target;
+        this.stateStore.reset(meshes, { transform: true, visibility: false, materials: false });
+        if (target === 'all') {
+            this.stagedMeshes.clear();
+        } else {
+            target.forEach(mesh => this.stagedMeshes.delete(mesh));
+        }
+    }
+}
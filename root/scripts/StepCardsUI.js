@@ -4,24 +4,58 @@ export class StepCardsUI {
         this.activeStepId = null;
         this.onStepSelect = null;
         this.onStepClick = null;
+        this.getStepParts = null;
+        this.onPartClick = null;
         this.cards = [];
         this.centerIndex = 0;
         this.isScrolling = false;
         this.scrollTimeout = null;
         this.lastScrollTop = 0;
         this.scrollDirection = 0;
+        this.isProgrammaticScroll = false;
+        this.programmaticScrollTimeout = null;
+        this.initialScrollTimeout = null;
+        this.listening = false;
     }
 
-    initialize(assemblyConfig, onStepSelectCallback, onStepClickCallback) {
+    /**
+     * @param {Object} assemblyConfig - AssemblyManager.json contents
+     * @param {Function} onStepSelectCallback - (step) when a card scrolls into focus
+     * @param {Function} onStepClickCallback - (step) when a card is clicked
+     * @param {Object} parts - Optional { getStepParts: (step) => [{ baseName, name, quantity }], onPartClick: (baseName, step) }
+     *                         for the expandable part list of each card
+     */
+    initialize(assemblyConfig, onStepSelectCallback, onStepClickCallback, { getStepParts = null, onPartClick = null } = {}) {
         this.onStepSelect = onStepSelectCallback;
         this.onStepClick = onStepClickCallback;
+        this.getStepParts = getStepParts;
+        this.onPartClick = onPartClick;
         this.generateCards(assemblyConfig.steps);
-        this.setupScrollListener();
-        this.setupWheelListener();
+        // The container outlives products, so its listeners are only added once
+        if (!this.listening) {
+            this.setupScrollListener();
+            this.setupWheelListener();
+            this.listening = true;
+        }
         this.updateCardStates();
     }
 
-    generateCards(steps) {
+    /**
+     * Rebuild the cards after the steps were edited, centering the given step without selecting it
+     * @param {Object[]} steps
+     * @param {string|null} stepId - Step to center (the first one if not found)
+     */
+    refresh(steps, stepId = null) {
+        this.generateCards(steps, { centerIndex: Math.max(0, steps.findIndex(step => step.id === stepId)), notify: false });
+        this.updateCardStates();
+    }
+
+    /**
+     * @param {Object[]} steps
+     * @param {Object} options - { centerIndex, notify } card centered once the cards are laid out,
+     *                           and whether that counts as selecting its step (onStepSelect)
+     */
+    generateCards(steps, { centerIndex = 0, notify = true } = {}) {
         if (!this.container) {
             console.warn('StepCardsUI: Container not found');
             return;
@@ -47,9 +81,11 @@ export class StepCardsUI {
 
         console.log(`StepCardsUI: Generated ${steps.length} step cards`);
         
-        // Set initial center card
-        setTimeout(() => {
-            this.scrollToCard(0, false);
+        // Set initial center card (dropped if a step is centered before it runs, e.g. from a deep link)
+        clearTimeout(this.initialScrollTimeout);
+        this.initialScrollTimeout = setTimeout(() => {
+            this.initialScrollTimeout = null;
+            this.scrollToCard(centerIndex, false, notify);
         }, 100);
     }
 
@@ -58,10 +94,11 @@ export class StepCardsUI {
         card.className = 'step-card';
         card.dataset.stepId = step.id;
 
-        // Count involved items
+        // Parts installed by the step (falls back to counting the involved entries)
+        const parts = this.getStepParts ? this.getStepParts(step) : null;
         const baseMeshCount = step.involved?.baseMeshes?.length || 0;
         const assembledGroupCount = step.involved?.assembledGroups?.length || 0;
-        const totalItems = baseMeshCount + assembledGroupCount;
+        const totalItems = parts ? parts.length : baseMeshCount + assembledGroupCount;
 
         card.innerHTML = `
             <div class="step-card-header">
@@ -70,9 +107,10 @@ export class StepCardsUI {
             </div>
             <div class="step-card-content">
                 <div class="step-meta">
-                    <div class="step-meta-item">
+                    <div class="step-meta-item${parts ? ' step-parts-toggle' : ''}">
                         <span class="step-meta-icon">📦</span>
                         <span>${totalItems} part${totalItems !== 1 ? 's' : ''}</span>
+                        ${parts ? '<span class="step-parts-caret">▸</span>' : ''}
                     </div>
                     ${step.outline?.blinking !== false ? `
                         <div class="step-meta-item">
@@ -84,11 +122,14 @@ export class StepCardsUI {
             </div>
         `;
 
+        if (parts) this.createPartsList(card, step, parts);
+
         // Add click handler
         card.addEventListener('click', () => {
             const cardIndex = this.cards.findIndex(c => c.element === card);
             if (cardIndex !== -1) {
-                this.scrollToCard(cardIndex, true);
+                // The click starts the step, so don't also report a focus change
+                this.scrollToCard(cardIndex, true, false);
                 // Trigger full step animation (outline + fade + center)
                 if (this.onStepClick) {
                     this.onStepClick(step);
@@ -99,6 +140,38 @@ export class StepCardsUI {
         return card;
     }
 
+    /**
+     * Expandable list of a step's parts behind the card's parts counter
+     * @param {HTMLElement} card
+     * @param {Object} step
+     * @param {Object[]} parts - [{ baseName, name, quantity }]
+     */
+    createPartsList(card, step, parts) {
+        const list = document.createElement('ul');
+        list.className = 'step-parts-list';
+        list.hidden = true;
+        parts.forEach(part => {
+            const item = document.createElement('li');
+            item.className = 'step-parts-item';
+            item.textContent = `${part.quantity} × ${part.name}`;
+            item.title = part.baseName;
+            item.addEventListener('click', (event) => {
+                // Show the part without starting the step
+                event.stopPropagation();
+                if (this.onPartClick) this.onPartClick(part.baseName, step);
+            });
+            list.appendChild(item);
+        });
+        card.querySelector('.step-card-content').appendChild(list);
+
+        const toggle = card.querySelector('.step-parts-toggle');
+        toggle.addEventListener('click', (event) => {
+            event.stopPropagation();
+            list.hidden = !list.hidden;
+            toggle.querySelector('.step-parts-caret').textContent = list.hidden ? '▸' : '▾';
+        });
+    }
+
     setupScrollListener() {
         if (!this.container) return;
 
@@ -178,8 +251,8 @@ export class StepCardsUI {
             }
         });
 
-        // Trigger callback when center card changes
-        if (centerChanged && this.onStepSelect && this.cards[closestCard]) {
+        // Trigger callback when center card changes (programmatic scrolls report once they settle)
+        if (centerChanged && !this.isProgrammaticScroll && this.onStepSelect && this.cards[closestCard]) {
             this.onStepSelect(this.cards[closestCard].step);
         }
     }
@@ -206,10 +279,20 @@ export class StepCardsUI {
         this.scrollToCard(closestIndex, true);
     }
 
-    scrollToCard(index, smooth = true) {
+    /**
+     * Scroll a card to the center
+     * @param {number} index - Card index
+     * @param {boolean} smooth - Smooth scrolling
+     * @param {boolean} notify - Call onStepSelect once the scroll settles (if the center card changed)
+     */
+    scrollToCard(index, smooth = true, notify = true) {
         if (index < 0 || index >= this.cards.length) return;
 
+        clearTimeout(this.initialScrollTimeout);
+        this.initialScrollTimeout = null;
         this.isScrolling = true;
+        this.isProgrammaticScroll = true;
+        const centerChanged = this.centerIndex !== index;
         
         const card = this.cards[index].element;
         const containerRect = this.container.getBoundingClientRect();
@@ -228,19 +311,49 @@ export class StepCardsUI {
         this.centerIndex = index;
         this.activeStepId = this.cards[index].step.id;
         
-        setTimeout(() => {
+        clearTimeout(this.programmaticScrollTimeout);
+        this.programmaticScrollTimeout = setTimeout(() => {
+            this.isProgrammaticScroll = false;
             this.updateCardStates();
             this.isScrolling = false;
+            if (notify && centerChanged && this.onStepSelect && this.cards[index]) {
+                this.onStepSelect(this.cards[index].step);
+            }
         }, smooth ? 400 : 0);
     }
 
-    selectStep(stepId) {
+    /**
+     * Center the card of a step
+     * @param {string} stepId
+     * @param {boolean} notify - Call onStepSelect (false when the step was started elsewhere)
+     */
+    selectStep(stepId, notify = true) {
         const cardIndex = this.cards.findIndex(c => c.step.id === stepId);
         if (cardIndex !== -1) {
-            this.scrollToCard(cardIndex, true);
+            this.scrollToCard(cardIndex, true, notify);
         }
     }
 
+    /**
+     * Remove the cards of the unloaded product
+     */
+    dispose() {
+        clearTimeout(this.scrollTimeout);
+        clearTimeout(this.programmaticScrollTimeout);
+        clearTimeout(this.initialScrollTimeout);
+        this.initialScrollTimeout = null;
+        if (this.container) this.container.innerHTML = '';
+        this.cards = [];
+        this.centerIndex = 0;
+        this.activeStepId = null;
+        this.isScrolling = false;
+        this.isProgrammaticScroll = false;
+        this.onStepSelect = null;
+        this.onStepClick = null;
+        this.getStepParts = null;
+        this.onPartClick = null;
+    }
+
     clearSelection() {
         this.cards.forEach(cardData => {
             cardData.element.classList.remove('center', 'adjacent', 'edge');
@@ -0,0 +1,593 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { AssemblyMotion } from './AssemblyMotion.js';
+import { BillOfMaterials } from './BillOfMaterials.js';
+import { Easing } from './TweenManager.js';
+import { MeshResolver } from './MeshResolver.js';
+
+// Drags shorter than this (parent-space units) leave the part without an explode offset
+const MIN_OFFSET = 1e-4;
+// Share of a single component above which a dragged direction is written as a named axis (+X..-Z)
+const AXIS_SNAP = 0.995;
+
+/**
+ * In-app authoring of AssemblyManager.json and AssemblyAnimations.json (lil-gui "Step Editor" folder).
+ *
+ * In authoring mode, clicking a part adds it (its MeshGroups.json base name, or its smallest assembled
+ * group when picking groups) to the edited step's `involved` list and attaches a translate gizmo;
+ * shift-click removes it again. Dragging the part out to where it should start sets the `direction`
+ * and `offset` of its AssemblyAnimations.json entry. Steps can be added, deleted, renamed and reordered,
+ * previewed with the regular AssemblyManager sequence, and the three config files exported.
+ *
+ * Edits go straight into the loaded configs (AssemblyManager.assembly_config,
+ * AssemblyAnimator.animationConfig, MeshGroupLoader.meshGroupConfig), so previews use them right away;
+ * AssemblyManager.refreshSteps() updates the step cards, BOM and debug GUI.
+ */
+export class StepEditor {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {HTMLCanvasElement} canvas - Renderer canvas (gizmo pointer events)
+     * @param {THREE.Scene} scene - Holds the gizmo while authoring
+     * @param {OrbitControls} orbitControls - Disabled while the gizmo is dragged
+     */
+    constructor(camera, canvas, scene, orbitControls) {
+        this.scene = scene;
+        this.orbitControls = orbitControls;
+
+        this.gizmo = new TransformControls(camera, canvas);
+        this.gizmo.setMode('translate');
+        this.gizmo.addEventListener('dragging-changed', (event) => {
+            this.orbitControls.enabled = !event.value;
+            if (!event.value) this._storeOffset();
+        });
+        this.gizmo.addEventListener('objectChange', () => this._moveSelection());
+        this.gizmoHelper = this.gizmo.getHelper();
+
+        this.gui = null;
+        this.folder = null;
+        this.folderOpen = false;
+        this.meshGroupLoader = null;
+        this.assemblyManager = null;
+        this.assemblyAnimator = null;
+        this.outlineManager = null;
+        this.partPicker = null;
+        this.onEnable = null;
+
+        this.enabled = false;
+        this.stepIndex = 0;
+        this.pickTarget = 'part'; // 'part' (base name) | 'group' (smallest assembled group)
+        this.selected = null; // { name, mesh, meshes, installed: Map<mesh, Vector3> } while a part is on the gizmo
+        this.clickHandler = (mesh, event) => this._onPick(mesh, event);
+    }
+
+    /**
+     * @param {Object} options - { gui, meshGroupLoader, assemblyManager, assemblyAnimator, outlineManager, partPicker, onEnable }
+     *                           onEnable: called when authoring mode starts (other users of part clicks step aside)
+     */
+    initialize({ gui, meshGroupLoader, assemblyManager, assemblyAnimator, outlineManager, partPicker, onEnable = null }) {
+        this.gui = gui;
+        this.meshGroupLoader = meshGroupLoader;
+        this.assemblyManager = assemblyManager;
+        this.assemblyAnimator = assemblyAnimator;
+        this.outlineManager = outlineManager;
+        this.partPicker = partPicker;
+        this.onEnable = onEnable;
+        this.stepIndex = 0;
+        this.folderOpen = false;
+        if (this.gui) this._buildGui();
+    }
+
+    /**
+     * Leave authoring mode and forget the unloaded product (the gizmo is kept for the next one)
+     */
+    dispose() {
+        this.setEnabled(false);
+        if (this.folder) this.folder.destroy();
+        this.folder = null;
+        this.meshGroupLoader = null;
+        this.assemblyManager = null;
+        this.assemblyAnimator = null;
+        this.outlineManager = null;
+        this.partPicker = null;
+        this.onEnable = null;
+    }
+
+    /**
+     * Enter or leave authoring mode (part clicks edit the step instead of jumping to it)
+     * @param {boolean} enabled
+     */
+    async setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        if (enabled) {
+            if (this.onEnable) this.onEnable();
+            // Parts are edited in their loaded pose
+            await this.assemblyManager.resetAssembly();
+            // Turned off again (or the product unloaded) while the assembly was resetting
+            if (!this.enabled) return;
+            this.partPicker.setClickHandler(this.clickHandler);
+            this.scene.add(this.gizmoHelper);
+            this._showStep();
+        } else {
+            this._deselect();
+            // Only if no other editor has taken part clicks over since
+            if (this.partPicker?.clickHandler === this.clickHandler) this.partPicker.setClickHandler(null);
+            this.scene.remove(this.gizmoHelper);
+            this.outlineManager?.clear();
+        }
+        this._buildGui();
+    }
+
+    /**
+     * @returns {Object|null} The step being edited
+     */
+    getStep() {
+        return this.assemblyManager?.getSteps()[this.stepIndex] || null;
+    }
+
+    /**
+     * @param {number} index - Step to edit
+     */
+    selectStep(index) {
+        this._deselect();
+        this.stepIndex = THREE.MathUtils.clamp(index, 0, Math.max(this.assemblyManager.getSteps().length - 1, 0));
+        if (this.enabled) this._showStep();
+        this._buildGui();
+    }
+
+    /**
+     * Insert a new step after the edited one (outline, visibility and staging copied from it)
+     */
+    addStep() {
+        const steps = this.assemblyManager.getSteps();
+        const template = this.getStep();
+        let number = steps.length + 1;
+        while (steps.some(step => step.id === StepEditor._stepId(number))) number++;
+
+        const step = {
+            id: StepEditor._stepId(number),
+            label: 'New Step',
+            involved: { baseMeshes: [], assembledGroups: [] }
+        };
+        ['outline', 'visibility', 'staging'].forEach(key => {
+            if (template?.[key]) step[key] = structuredClone(template[key]);
+        });
+
+        const index = template ? this.stepIndex + 1 : 0;
+        steps.splice(index, 0, step);
+        this._getAnimations()[step.id] = { animations: [] };
+        this.stepIndex = index;
+        this._stepsChanged();
+    }
+
+    /**
+     * Delete the edited step and its animations
+     */
+    deleteStep() {
+        const step = this.getStep();
+        if (!step || !window.confirm(`Delete step "${step.label || step.id}"?`)) return;
+        this._deselect();
+        this.assemblyManager.getSteps().splice(this.stepIndex, 1);
+        delete this._getAnimations()[step.id];
+        this.stepIndex = Math.max(0, Math.min(this.stepIndex, this.assemblyManager.getSteps().length - 1));
+        this._stepsChanged();
+    }
+
+    /**
+     * Move the edited step earlier (-1) or later (+1)
+     * @param {number} delta
+     */
+    moveStep(delta) {
+        const steps = this.assemblyManager.getSteps();
+        const target = this.stepIndex + delta;
+        if (target < 0 || target >= steps.length) return;
+        [steps[this.stepIndex], steps[target]] = [steps[target], steps[this.stepIndex]];
+        this.stepIndex = target;
+        this._stepsChanged();
+    }
+
+    /**
+     * Rename the edited step (its animations move to the new id)
+     * @param {string} id
+     */
+    renameStep(id) {
+        const step = this.getStep();
+        id = id.trim();
+        if (!step || id === step.id) return;
+        if (!id || this.assemblyManager.getStep(id)) {
+            console.warn(`StepEditor: Step id "${id}" is empty or already used`);
+            this._buildGui();
+            return;
+        }
+        const animations = this._getAnimations();
+        if (animations[step.id]) {
+            animations[id] = animations[step.id];
+            delete animations[step.id];
+        }
+        step.id = id;
+        this._stepsChanged();
+    }
+
+    /**
+     * Play the edited step with the regular step sequence (fade, staging, animation)
+     */
+    previewStep() {
+        const step = this.getStep();
+        if (!step) return;
+        this._deselect();
+        this.assemblyManager.startStep(step.id);
+    }
+
+    /**
+     * Download MeshGroups.json, AssemblyManager.json and AssemblyAnimations.json as edited
+     */
+    exportConfigs() {
+        const meshGroups = structuredClone(this.meshGroupLoader.meshGroupConfig);
+        // MeshGroupLoader fills in an empty exclude list; leave it out unless it was used
+        if (Array.isArray(meshGroups.exclude) && meshGroups.exclude.length === 0) delete meshGroups.exclude;
+
+        const steps = this.assemblyManager.getSteps();
+        const files = [
+            ['MeshGroups.json', meshGroups],
+            ['AssemblyManager.json', this.assemblyManager.assembly_config],
+            ['AssemblyAnimations.json', StepEditor.orderAnimations(steps, this._getAnimations())]
+        ];
+        files.forEach(([filename, config]) => {
+            BillOfMaterials.download(filename, `${JSON.stringify(config, null, 2)}\n`, 'application/json');
+        });
+        console.log(`StepEditor: Exported ${steps.length} steps`);
+    }
+
+    /**
+     * @param {Object[]} steps
+     * @param {Object} animations - AssemblyAnimations.json contents
+     * @returns {Object} Same entries with the step keys in step order (unknown keys last)
+     */
+    static orderAnimations(steps, animations) {
+        const ordered = {};
+        steps.forEach(step => {
+            if (animations[step.id]) ordered[step.id] = animations[step.id];
+        });
+        Object.keys(animations).forEach(key => {
+            if (!(key in ordered)) ordered[key] = animations[key];
+        });
+        return ordered;
+    }
+
+    /**
+     * @param {THREE.Vector3} unit - Normalized direction
+     * @returns {string|number[]} "+X".."-Z" when the direction is (nearly) an axis, else [x, y, z]
+     */
+    static toDirection(unit) {
+        const components = unit.toArray();
+        const index = components.findIndex(value => Math.abs(value) >= AXIS_SNAP);
+        if (index !== -1) return `${components[index] > 0 ? '+' : '-'}${'XYZ'[index]}`;
+        return components.map(StepEditor._round);
+    }
+
+    static _round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    static _stepId(number) {
+        return `step-${String(number).padStart(2, '0')}`;
+    }
+
+    _getAnimations() {
+        if (!this.assemblyAnimator.animationConfig) this.assemblyAnimator.animationConfig = {};
+        return this.assemblyAnimator.animationConfig;
+    }
+
+    /**
+     * Part click in authoring mode
+     * @param {THREE.Mesh} mesh
+     * @param {PointerEvent} event - shiftKey removes the part from the step
+     */
+    async _onPick(mesh, event) {
+        // Releasing on a gizmo handle is not a part click
+        if (this.gizmo.axis) return;
+        const step = this.getStep();
+        if (!step) return;
+        // A preview moved the parts; edit them in their loaded pose
+        if (this.assemblyManager.getStepState().index !== -1) await this.assemblyManager.resetAssembly();
+
+        const { name, list, undeclared } = this._pickName(mesh);
+        if (!step.involved) step.involved = {};
+        if (!step.involved[list]) step.involved[list] = [];
+        const names = step.involved[list];
+
+        if (event?.shiftKey) {
+            if (!names.includes(name)) return;
+            names.splice(names.indexOf(name), 1);
+            this._removeEntry(name);
+            this._deselect();
+        } else {
+            if (!names.includes(name)) names.push(name);
+            // Not covered by MeshGroups.json yet: declare it so the exported files agree
+            if (undeclared) this.meshGroupLoader.meshGroupConfig.baseNames.push(name);
+            this._select(mesh, name);
+        }
+        this.assemblyManager.refreshSteps({ stepId: step.id });
+        this._showStep();
+        this._buildGui();
+    }
+
+    /**
+     * Config name a click on the mesh stands for
+     * @param {THREE.Mesh} mesh
+     * @returns {{name: string, list: string, undeclared: boolean}} Name, the `involved` list it goes in and
+     *          whether it is a raw mesh name missing from MeshGroups.json baseNames
+     */
+    _pickName(mesh) {
+        const { baseName, assembledGroups } = this.meshGroupLoader.getMeshGroups(mesh);
+        if (this.pickTarget === 'group' && assembledGroups.length > 0) {
+            const size = name => this.meshGroupLoader.getAssembledGroupMeshes(name)?.length ?? Infinity;
+            const group = assembledGroups.reduce((best, name) => (size(name) < size(best) ? name : best));
+            return { name: group, list: 'assembledGroups', undeclared: false };
+        }
+        if (baseName) return { name: baseName, list: 'baseMeshes', undeclared: false };
+        const declared = this.meshGroupLoader.meshGroupConfig.baseNames.some(entry => MeshResolver.entryName(entry) === mesh.name);
+        return { name: mesh.name, list: 'baseMeshes', undeclared: !declared };
+    }
+
+    /**
+     * @param {string} name - Base name or assembled group
+     * @returns {THREE.Mesh[]}
+     */
+    _getMeshes(name) {
+        return this.meshGroupLoader.getAllMeshesForName(name)
+            || this.meshGroupLoader.getMeshResolver()?.resolve(name)
+            || [];
+    }
+
+    /**
+     * Put a part on the gizmo, posed at the start of its animation
+     * @param {THREE.Mesh} mesh - Mesh the gizmo is attached to
+     * @param {string} name - Its base name or group
+     */
+    _select(mesh, name) {
+        this._deselect();
+        const entry = this._findEntry(name);
+        if (entry?.path) {
+            console.warn(`StepEditor: "${name}" animates along a keyframe path; edit it in AssemblyAnimations.json`);
+            return;
+        }
+
+        const meshes = this._getMeshes(name);
+        if (!meshes.includes(mesh)) meshes.push(mesh);
+        const installed = new Map(meshes.map(m => [m, m.position.clone()]));
+        this.selected = { name, mesh, meshes, installed };
+
+        // AssemblyMotion starts opposite the direction
+        const offset = new THREE.Vector3();
+        const direction = AssemblyMotion.parseAxis(entry?.direction);
+        if (direction) offset.copy(direction).multiplyScalar(-(entry.offset || 0.5));
+        meshes.forEach(m => m.position.copy(installed.get(m)).add(offset));
+
+        this.gizmo.attach(mesh);
+    }
+
+    /**
+     * Put the part on the gizmo back in its installed pose
+     */
+    _deselect() {
+        if (!this.selected) return;
+        this.selected.installed.forEach((position, mesh) => mesh.position.copy(position));
+        this.selected = null;
+        this.gizmo.detach();
+    }
+
+    /**
+     * Gizmo drag: move the part's other meshes (copies, group members) by the same offset
+     */
+    _moveSelection() {
+        const selected = this.selected;
+        if (!selected) return;
+        const offset = selected.mesh.position.clone().sub(selected.installed.get(selected.mesh));
+        selected.meshes.forEach(m => {
+            if (m !== selected.mesh) m.position.copy(selected.installed.get(m)).add(offset);
+        });
+    }
+
+    /**
+     * Gizmo released: write the dragged offset to the part's animation entry
+     */
+    _storeOffset() {
+        const selected = this.selected;
+        if (!selected) return;
+        const offset = selected.mesh.position.clone().sub(selected.installed.get(selected.mesh));
+        const entry = this._findEntry(selected.name) || this._addEntry(selected.name);
+
+        if (offset.length() < MIN_OFFSET) {
+            delete entry.direction;
+            delete entry.offset;
+        } else {
+            entry.direction = StepEditor.toDirection(offset.clone().negate().normalize());
+            entry.offset = StepEditor._round(offset.length());
+        }
+        this._buildGui();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|null} The edited step's motion entry for the name (inside parallel/sequence groups too)
+     */
+    _findEntry(name) {
+        const find = entries => {
+            for (const entry of entries || []) {
+                const group = entry.parallel || entry.sequence;
+                const found = group ? find(group) : entry.mesh === name ? entry : null;
+                if (found) return found;
+            }
+            return null;
+        };
+        return find(this._getStepAnimation()?.animations);
+    }
+
+    _addEntry(name) {
+        const stepAnimation = this._getStepAnimation(true);
+        const entry = { mesh: name, duration: 1.0 };
+        stepAnimation.animations.push(entry);
+        return entry;
+    }
+
+    _removeEntry(name) {
+        const remove = entries => {
+            for (let i = entries.length - 1; i >= 0; i--) {
+                const group = entries[i].parallel || entries[i].sequence;
+                if (group) {
+                    remove(group);
+                    if (group.length === 0) entries.splice(i, 1);
+                } else if (entries[i].mesh === name) {
+                    entries.splice(i, 1);
+                }
+            }
+        };
+        const animations = this._getStepAnimation()?.animations;
+        if (animations) remove(animations);
+    }
+
+    /**
+     * @param {boolean} create - Add an empty entry for the step if it has none
+     * @returns {Object|null} { animations } of the edited step
+     */
+    _getStepAnimation(create = false) {
+        const step = this.getStep();
+        if (!step) return null;
+        const animations = this._getAnimations();
+        if (!animations[step.id] && create) animations[step.id] = { animations: [] };
+        if (animations[step.id] && !animations[step.id].animations) animations[step.id].animations = [];
+        return animations[step.id] || null;
+    }
+
+    /**
+     * Outline the edited step's parts
+     */
+    _showStep() {
+        const step = this.getStep();
+        if (!step) {
+            this.outlineManager.clear();
+            return;
+        }
+        this.outlineManager.apply(this.assemblyManager.getStepMeshes(step), {
+            color: step.outline?.color,
+            permanent: true
+        });
+    }
+
+    /**
+     * Steps were added, removed, renamed or reordered
+     */
+    async _stepsChanged() {
+        // A previewed step may no longer exist or be at its old index
+        if (this.assemblyManager.getStepState().index !== -1) await this.assemblyManager.resetAssembly();
+        this.assemblyManager.refreshSteps({ stepId: this.getStep()?.id || null });
+        if (this.enabled) this._showStep();
+        this._buildGui();
+    }
+
+    /**
+     * (Re)build the lil-gui folder for the current state
+     */
+    _buildGui() {
+        if (!this.gui || !this.assemblyManager) return;
+        if (this.folder) this.folder.destroy();
+        const folder = this.gui.addFolder('Step Editor');
+        this.folder = folder;
+        if (!this.folderOpen) folder.close();
+        folder.onOpenClose(changed => {
+            if (changed === folder) this.folderOpen = !folder._closed;
+        });
+
+        const state = { enabled: this.enabled, stepIndex: this.stepIndex };
+        folder.add(state, 'enabled').name('Authoring Mode').onChange(value => this.setEnabled(value));
+
+        const steps = this.assemblyManager.getSteps();
+        const step = this.getStep();
+        const options = {};
+        steps.forEach((s, index) => {
+            options[`${index + 1}. ${s.label || s.id}`] = index;
+        });
+        folder.add(state, 'stepIndex', options).name('Step').onChange(index => this.selectStep(index));
+
+        if (step) {
+            const fields = { id: step.id, label: step.label || '' };
+            folder.add(fields, 'id').name('Step ID').onFinishChange(id => this.renameStep(id));
+            folder.add(fields, 'label').name('Label').onFinishChange(label => {
+                step.label = label;
+                this._stepsChanged();
+            });
+            const involved = {
+                summary: `${step.involved?.baseMeshes?.length || 0} parts, ${step.involved?.assembledGroups?.length || 0} groups`
+            };
+            folder.add(involved, 'summary').name('Involved').disable();
+        }
+        folder.add(this, 'pickTarget', { 'Base part': 'part', 'Assembled group': 'group' }).name('Click Picks');
+
+        if (this.selected) this._buildPartGui(folder);
+
+        const actions = {
+            addStep: () => this.addStep(),
+            deleteStep: () => this.deleteStep(),
+            moveUp: () => this.moveStep(-1),
+            moveDown: () => this.moveStep(1),
+            preview: () => this.previewStep(),
+            exportConfigs: () => this.exportConfigs()
+        };
+        folder.add(actions, 'addStep').name('Add Step');
+        if (step) {
+            folder.add(actions, 'deleteStep').name('Delete Step');
+            folder.add(actions, 'moveUp').name('Move Step Up');
+            folder.add(actions, 'moveDown').name('Move Step Down');
+            folder.add(actions, 'preview').name('▶ Preview Step');
+        }
+        folder.add(actions, 'exportConfigs').name('Export Configs');
+    }
+
+    /**
+     * Animation settings of the part on the gizmo
+     * @param {GUI} folder
+     */
+    _buildPartGui(folder) {
+        const { name } = this.selected;
+        const part = folder.addFolder(`Part: ${name}`);
+        const entry = this._findEntry(name);
+        const settings = {
+            duration: entry?.duration ?? 1.0,
+            turns: entry?.rotation?.turns ?? 0,
+            easing: entry?.easing || 'easeInOutQuad',
+            resetOffset: () => {
+                this.selected.installed.forEach((position, mesh) => mesh.position.copy(position));
+                this._storeOffset();
+            },
+            remove: () => {
+                const list = this.getStep().involved;
+                ['baseMeshes', 'assembledGroups'].forEach(key => {
+                    const index = list[key]?.indexOf(name) ?? -1;
+                    if (index !== -1) list[key].splice(index, 1);
+                });
+                this._removeEntry(name);
+                this._deselect();
+                this._stepsChanged();
+            }
+        };
+        const update = (apply) => {
+            apply(this._findEntry(name) || this._addEntry(name));
+        };
+
+        part.add(settings, 'duration', 0.1, 10, 0.1).name('Duration (s)').onFinishChange(value => {
+            update(target => { target.duration = value; });
+        });
+        part.add(settings, 'turns', -10, 10, 0.25).name('Turns').onFinishChange(value => {
+            update(target => {
+                if (value === 0) delete target.rotation;
+                else target.rotation = { ...target.rotation, turns: value };
+            });
+        });
+        part.add(settings, 'easing', Object.keys(Easing)).name('Easing').onChange(value => {
+            update(target => { target.easing = value; });
+        });
+        part.add(settings, 'resetOffset').name('Clear Offset');
+        part.add(settings, 'remove').name('Remove From Step');
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * Snapshots of per-mesh state: full local transform, visibility and material flags
+ * (`transparent`, `opacity`, `depthWrite`), plus the outline state of the active step.
+ * The baseline is captured once after the model is loaded (and its materials cloned per mesh);
+ * `reset()` brings every mesh back exactly to it.
+ */
+export class StepStateStore {
+    constructor() {
+        this.baseline = new Map(); // mesh uuid -> snapshot of the loaded state
+        this.meshes = []; // meshes with a baseline
+        this.activeStep = null; // { stepId, meshes: Map(uuid -> snapshot), outline } taken when a step begins
+    }
+
+    /**
+     * Capture the loaded state of the meshes (call once the model and its groups are ready)
+     * @param {THREE.Mesh[]} meshes
+     */
+    captureBaseline(meshes) {
+        this.baseline.clear();
+        this.activeStep = null;
+        this.meshes = meshes.slice();
+        meshes.forEach(mesh => this.baseline.set(mesh.uuid, StepStateStore.snapshot(mesh)));
+        console.log(`StepStateStore: Captured baseline of ${this.baseline.size} meshes`);
+    }
+
+    /**
+     * @param {THREE.Mesh} mesh
+     * @returns {Object|null} Loaded-state snapshot of the mesh
+     */
+    getBaseline(mesh) {
+        return this.baseline.get(mesh.uuid) || null;
+    }
+
+    /**
+     * Snapshot the current state before a step changes it
+     * @param {string} stepId
+     * @param {THREE.Mesh[]} meshes - Meshes the step may touch
+     * @param {Object|null} outline - Outline state (OutlineManager.getState())
+     */
+    beginStep(stepId, meshes, outline = null) {
+        const snapshots = new Map();
+        meshes.forEach(mesh => snapshots.set(mesh.uuid, StepStateStore.snapshot(mesh)));
+        this.activeStep = { stepId, meshes: snapshots, outline };
+    }
+
+    /**
+     * Put the meshes of the active step back to how they were when it began
+     * @param {THREE.Mesh[]} meshes
+     * @returns {Object|null} Outline state to restore (OutlineManager.restoreState())
+     */
+    restoreStep(meshes) {
+        if (!this.activeStep) return null;
+        meshes.forEach(mesh => {
+            const snapshot = this.activeStep.meshes.get(mesh.uuid);
+            if (snapshot) StepStateStore.apply(mesh, snapshot);
+        });
+        const outline = this.activeStep.outline;
+        this.activeStep = null;
+        return outline;
+    }
+
+    /**
+     * Restore meshes exactly to their loaded state
+     * @param {THREE.Mesh[]} meshes - Defaults to every mesh with a baseline
+     * @param {Object} parts - Which parts to restore: { transform, visibility, materials } (all by default)
+     */
+    reset(meshes = this.meshes, parts = {}) {
+        meshes.forEach(mesh => {
+            const snapshot = this.baseline.get(mesh.uuid);
+            if (snapshot) StepStateStore.apply(mesh, snapshot, parts);
+        });
+    }
+
+    /**
+     * Drop the active step's snapshot (e.g. once the scene was reset to the baseline instead)
+     */
+    clearStep() {
+        this.activeStep = null;
+    }
+
+    /**
+     * Drop every snapshot (product unload)
+     */
+    dispose() {
+        this.baseline.clear();
+        this.meshes = [];
+        this.activeStep = null;
+    }
+
+    /**
+     * @param {THREE.Mesh} mesh
+     * @returns {Object} { position, quaternion, scale, visible, materials: [{ transparent, opacity, depthWrite }] }
+     */
+    static snapshot(mesh) {
+        const materials = mesh.material
+            ? (Array.isArray(mesh.material) ? mesh.material : [mesh.material])
+            : [];
+        return {
+            position: mesh.position.clone(),
+            quaternion: mesh.quaternion.clone(),
+            scale: mesh.scale.clone(),
+            visible: mesh.visible,
+            materials: materials.map(mat => ({
+                transparent: mat.transparent,
+                opacity: mat.opacity,
+                depthWrite: mat.depthWrite
+            }))
+        };
+    }
+
+    /**
+     * @param {THREE.Mesh} mesh
+     * @param {Object} snapshot - From snapshot()
+     * @param {Object} parts - { transform = true, visibility = true, materials = true }
+     */
+    static apply(mesh, snapshot, { transform = true, visibility = true, materials = true } = {}) {
+        if (transform) {
+            mesh.position.copy(snapshot.position);
+            mesh.quaternion.copy(snapshot.quaternion);
+            mesh.scale.copy(snapshot.scale);
+        }
+        if (visibility) {
+            mesh.visible = snapshot.visible;
+        }
+        if (materials && mesh.material) {
+            const meshMaterials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+            meshMaterials.forEach((mat, idx) => {
+                const props = snapshot.materials[idx];
+                if (!props) return;
+                mat.transparent = props.transparent;
+                mat.opacity = props.opacity;
+                mat.depthWrite = props.depthWrite;
+            });
+        }
+    }
+}
@@ -0,0 +1,184 @@
+import { CancelledError } from './CancellationToken.js';
+
+/**
+ * Easing curves (t in 0..1 -> eased 0..1)
+ */
+export const Easing = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => 1 - (1 - t) * (1 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutBack: t => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    }
+};
+
+/**
+ * Central tween/timeline clock.
+ * `application.startRenderLoop` advances it with the frame delta, so every fade, move and
+ * delay ticks inside immersive WebXR sessions too, and can be paused or time-scaled globally.
+ * `step(dt)` advances it manually (deterministic stepping, frame-by-frame debugging).
+ */
+export class TweenManager {
+    constructor() {
+        this.tweens = new Set();
+        this.tickers = new Set();
+        this.timeScale = 1; // global playback-speed multiplier
+        this.paused = false;
+        this.time = 0; // scaled seconds elapsed since creation
+    }
+
+    /**
+     * Resolve an easing name or function
+     * @param {string|Function} easing
+     * @returns {Function}
+     */
+    static getEasing(easing) {
+        if (typeof easing === 'function') return easing;
+        return Easing[easing] || Easing.easeInOutQuad;
+    }
+
+    /**
+     * Advance the clock by the frame delta (call once per frame from the render loop)
+     * @param {number} deltaTime - Real seconds since the last frame
+     */
+    update(deltaTime) {
+        if (this.paused) return;
+        this.step(deltaTime * this.timeScale);
+    }
+
+    /**
+     * Advance all tweens by an exact amount of (already scaled) time, ignoring pause
+     * @param {number} dt - Seconds
+     */
+    step(dt) {
+        this.time += dt;
+        this.tickers.forEach(ticker => ticker(dt));
+        // Copy so tweens completing (or starting new tweens) during the loop are safe
+        Array.from(this.tweens).forEach(tween => this._advance(tween, dt));
+    }
+
+    /**
+     * Run a tween
+     * @param {Object} options
+     * @param {number} options.duration - Seconds
+     * @param {string|Function} [options.easing='easeInOutQuad'] - Easing name or function
+     * @param {Function} [options.onUpdate] - Called with (eased, progress) every step
+     * @param {CancellationToken} [options.token] - Rejects with CancelledError when cancelled
+     * @returns {Promise} Resolves when the tween completes
+     */
+    tween({ duration, easing = 'easeInOutQuad', onUpdate = null, token = null }) {
+        return new Promise((resolve, reject) => {
+            if (token?.isCancelled) {
+                reject(new CancelledError());
+                return;
+            }
+
+            const tween = {
+                elapsed: 0,
+                duration: Math.max(duration || 0, 0),
+                easing: TweenManager.getEasing(easing),
+                onUpdate,
+                resolve,
+                reject,
+                unsubscribe: null
+            };
+
+            if (token) {
+                tween.unsubscribe = token.onCancel(() => {
+                    this.tweens.delete(tween);
+                    reject(new CancelledError());
+                });
+            }
+
+            // Apply the start state right away so there is no one-frame pop
+            if (onUpdate) onUpdate(tween.easing(0), 0);
+
+            if (tween.duration === 0) {
+                this._complete(tween);
+                return;
+            }
+            this.tweens.add(tween);
+        });
+    }
+
+    /**
+     * Wait on the tween clock (pauses and scales with everything else)
+     * @param {number} seconds
+     * @param {CancellationToken} [token]
+     * @returns {Promise}
+     */
+    delay(seconds, token = null) {
+        return this.tween({ duration: seconds, easing: 'linear', token });
+    }
+
+    /**
+     * Register a function called with the scaled delta on every step
+     * @param {Function} ticker - (dt) => void
+     * @returns {Function} Unregister function
+     */
+    addTicker(ticker) {
+        this.tickers.add(ticker);
+        return () => this.tickers.delete(ticker);
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * @param {number} scale - Playback-speed multiplier (1 = real time)
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(scale, 0);
+    }
+
+    /**
+     * Cancel all running tweens (their promises reject with CancelledError)
+     */
+    clear() {
+        const tweens = Array.from(this.tweens);
+        this.tweens.clear();
+        tweens.forEach(tween => {
+            tween.unsubscribe?.();
+            tween.reject(new CancelledError());
+        });
+    }
+
+    _advance(tween, dt) {
+        tween.elapsed += dt;
+        const progress = Math.min(tween.elapsed / tween.duration, 1);
+        if (tween.onUpdate) tween.onUpdate(tween.easing(progress), progress);
+        if (progress >= 1) {
+            this.tweens.delete(tween);
+            this._complete(tween);
+        }
+    }
+
+    _complete(tween) {
+        if (tween.onUpdate && tween.duration === 0) tween.onUpdate(tween.easing(1), 1);
+        tween.unsubscribe?.();
+        tween.resolve();
+    }
+
+    /**
+     * Add a lil-gui folder with pause and speed controls
+     * @param {GUI} gui
+     */
+    setupDebugUI(gui) {
+        if (!gui) return;
+        const folder = gui.addFolder('Playback Clock');
+        folder.add(this, 'paused').name('Pause All').listen();
+        folder.add(this, 'timeScale', 0, 3, 0.05).name('Speed').listen();
+        folder.add({ step: () => this.step(1 / 60) }, 'step').name('Step 1 Frame');
+    }
+}
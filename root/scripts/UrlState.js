@@ -0,0 +1,116 @@
+// Query parameters owned by UrlState (anything else in the URL is left alone)
+const PARAMS = ['product', 'step', 'mode', 'cam'];
+
+/**
+ * Deep links: the product, step, step view mode and camera pose live in the URL query, e.g.
+ * index.html?product=drone&step=4&mode=build&cam=1.2,6.5,2,0,0,0
+ *
+ * - `product` - products.json id (skips the selection screen)
+ * - `step`    - 1-based step number (a step id is accepted too)
+ * - `mode`    - step view mode: 'isolate' | 'build'
+ * - `cam`     - camera position and orbit target: px,py,pz,tx,ty,tz
+ *
+ * Steps push history entries so browser back/forward move between them; camera and mode
+ * changes replace the current entry.
+ */
+export class UrlState {
+    constructor() {
+        this.onChange = null;
+        this._listening = false;
+    }
+
+    /**
+     * @returns {Object} { product, step, mode, camera } (null for absent or invalid values)
+     */
+    read() {
+        const params = new URLSearchParams(window.location.search);
+        const mode = params.get('mode');
+        return {
+            product: params.get('product') || null,
+            step: params.get('step') || null,
+            mode: mode === 'isolate' || mode === 'build' ? mode : null,
+            camera: UrlState.parseCamera(params.get('cam'))
+        };
+    }
+
+    /**
+     * Update some parameters (null removes one, undefined leaves it unchanged)
+     * @param {Object} state - { product, step, mode, camera }
+     * @param {Object} options - { push } to add a history entry instead of replacing the current one
+     */
+    write({ product, step, mode, camera } = {}, { push = false } = {}) {
+        const url = new URL(window.location.href);
+        const values = { product, step, mode, cam: camera === undefined ? undefined : UrlState.formatCamera(camera) };
+        PARAMS.forEach(key => {
+            const value = values[key];
+            if (value === undefined) return;
+            if (value === null || value === '') {
+                url.searchParams.delete(key);
+            } else {
+                url.searchParams.set(key, String(value));
+            }
+        });
+        // Keep the camera list readable (commas are valid in a query string)
+        url.search = url.searchParams.toString().replace(/%2C/gi, ',');
+        if (url.href === window.location.href) return;
+
+        if (push) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }
+
+    /**
+     * Call back with the new state on browser back/forward
+     * @param {Function} onChange - Receives read()
+     */
+    listen(onChange) {
+        this.onChange = onChange;
+        if (this._listening) return;
+        this._listening = true;
+        window.addEventListener('popstate', () => {
+            if (this.onChange) this.onChange(this.read());
+        });
+    }
+
+    /**
+     * Find the step a `step` parameter refers to
+     * @param {Object[]} steps - Steps of the loaded product
+     * @param {string} value - 1-based step number or step id
+     * @returns {number} Step index, -1 if there is none
+     */
+    static findStepIndex(steps, value) {
+        if (!value) return -1;
+        const byId = steps.findIndex(step => step.id === value);
+        if (byId !== -1) return byId;
+        const number = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+        return number >= 1 && number <= steps.length ? number - 1 : -1;
+    }
+
+    /**
+     * @param {string|null} value - "px,py,pz,tx,ty,tz"
+     * @returns {Object|null} { position: [x, y, z], target: [x, y, z] }
+     */
+    static parseCamera(value) {
+        if (!value) return null;
+        const numbers = value.split(',').map(Number);
+        if (numbers.length !== 6 || numbers.some(n => !Number.isFinite(n))) {
+            console.warn(`UrlState: Ignoring invalid camera "${value}"`);
+            return null;
+        }
+        return { position: numbers.slice(0, 3), target: numbers.slice(3) };
+    }
+
+    /**
+     * @param {Object|null} camera - { position, target } as arrays or Vector3s
+     * @returns {string|null}
+     */
+    static formatCamera(camera) {
+        if (!camera) return null;
+        const toArray = v => (Array.isArray(v) ? v : [v.x, v.y, v.z]);
+        return [...toArray(camera.position), ...toArray(camera.target)]
+            .map(n => Number(n.toFixed(3)))
+            .join(',');
+    }
+}
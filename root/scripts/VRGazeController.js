@@ -0,0 +1,258 @@
+import * as THREE from 'three';
+
+/**
+ * Gaze-based interaction for VR sessions without hand controllers.
+ * Raycasts from the XR camera every frame, shows a reticle with a dwell-progress ring
+ * and fires the registered callback once an object has been looked at for `dwellTime` seconds.
+ */
+export class VRGazeController {
+    /**
+     * @param {THREE.Scene} scene - Scene the reticle is added to
+     * @param {THREE.Camera} camera - Fallback camera used when the XR camera is not available
+     * @param {THREE.WebGLRenderer} renderer - Renderer with `xr.enabled = true`
+     * @param {Object} options - Optional settings (dwellTime, maxDistance, reticleDistance)
+     */
+    constructor(scene, camera, renderer, options = {}) {
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+
+        // Gaze settings
+        this.dwellTime = options.dwellTime ?? 1.5; // seconds
+        this.maxDistance = options.maxDistance ?? 20;
+        this.reticleDistance = options.reticleDistance ?? 2; // used when nothing is hit
+        this.enabled = true;
+
+        // Registered objects (object -> callback)
+        this.interactables = new Map();
+
+        // Gaze state
+        this.gazedObject = null;
+        this.dwellTimer = 0;
+        this.hasFired = false;
+
+        // Hooks assigned by the application
+        this.onGazeStart = null;
+        this.onGazeEnd = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.far = this.maxDistance;
+
+        this._origin = new THREE.Vector3();
+        this._direction = new THREE.Vector3();
+        this._quaternion = new THREE.Quaternion();
+
+        this._createReticle();
+    }
+
+    /**
+     * Build the reticle: a small static ring plus a progress ring filled by dwell time
+     */
+    _createReticle() {
+        this.reticle = new THREE.Group();
+        this.reticle.name = 'VRGazeReticle';
+        this.reticle.visible = false;
+        this.reticle.renderOrder = 999;
+
+        const baseMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.8,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.reticleRing = new THREE.Mesh(new THREE.RingGeometry(0.012, 0.018, 32), baseMaterial);
+        this.reticleRing.renderOrder = 999;
+        this.reticle.add(this.reticleRing);
+
+        // One radial segment keeps the index buffer ordered by angle, so the
+        // draw range can be used to reveal the ring progressively.
+        this.progressSegments = 48;
+        const progressMaterial = new THREE.MeshBasicMaterial({
+            color: 0x6496ff,
+            transparent: true,
+            opacity: 0.95,
+            depthTest: false,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        const progressGeometry = new THREE.RingGeometry(0.02, 0.028, this.progressSegments, 1, Math.PI / 2, -Math.PI * 2);
+        this.progressRing = new THREE.Mesh(progressGeometry, progressMaterial);
+        this.progressRing.renderOrder = 1000;
+        this.reticle.add(this.progressRing);
+        this._setProgress(0);
+
+        this.scene.add(this.reticle);
+    }
+
+    /**
+     * Register an object that reacts to gaze
+     * @param {THREE.Object3D} object - Object to raycast against (children are included)
+     * @param {Function} callback - Called with the object once the dwell time is reached
+     */
+    addInteractable(object, callback) {
+        if (!object) return;
+        this.interactables.set(object, callback || null);
+    }
+
+    /**
+     * Unregister an object
+     * @param {THREE.Object3D} object
+     */
+    removeInteractable(object) {
+        if (object === this.gazedObject) this._endGaze();
+        this.interactables.delete(object);
+    }
+
+    /**
+     * Unregister all objects
+     */
+    clearInteractables() {
+        this._endGaze();
+        this.interactables.clear();
+    }
+
+    /**
+     * Enable or disable gaze interaction
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this._endGaze();
+            this.reticle.visible = false;
+        }
+    }
+
+    /**
+     * Update gaze raycast and dwell timer (call each frame)
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    update(deltaTime) {
+        if (!this.enabled || !this.renderer.xr.isPresenting) {
+            if (this.gazedObject) this._endGaze();
+            this.reticle.visible = false;
+            return;
+        }
+
+        this._updateRay();
+        const hit = this._findHit();
+
+        // Keep the reticle on the hit surface, or floating in front of the user
+        const distance = hit ? Math.max(hit.distance - 0.01, 0.1) : this.reticleDistance;
+        this.reticle.position.copy(this._origin).addScaledVector(this._direction, distance);
+        this.reticle.quaternion.copy(this._quaternion);
+        this.reticle.scale.setScalar(distance / this.reticleDistance);
+        this.reticle.visible = true;
+
+        const target = hit ? hit.interactable : null;
+        if (target !== this.gazedObject) {
+            this._endGaze();
+            if (target) this._startGaze(target);
+        }
+
+        if (!this.gazedObject || this.hasFired) return;
+
+        this.dwellTimer += deltaTime;
+        const progress = Math.min(this.dwellTimer / this.dwellTime, 1);
+        this._setProgress(progress);
+
+        if (progress >= 1) {
+            // Fire once; the user has to look away before the object can trigger again
+            this.hasFired = true;
+            this._setProgress(0);
+            const callback = this.interactables.get(this.gazedObject);
+            if (callback) callback(this.gazedObject);
+        }
+    }
+
+    /**
+     * Compute the gaze ray from the XR camera (falls back to the scene camera)
+     */
+    _updateRay() {
+        const xrCamera = this.renderer.xr.getCamera();
+        const source = xrCamera && xrCamera.cameras.length > 0 ? xrCamera : this.camera;
+
+        this._origin.setFromMatrixPosition(source.matrixWorld);
+        this._direction.set(0, 0, -1).transformDirection(source.matrixWorld);
+        this._quaternion.setFromRotationMatrix(source.matrixWorld);
+        this.raycaster.set(this._origin, this._direction);
+        this.raycaster.far = this.maxDistance;
+    }
+
+    /**
+     * Find the closest visible interactable under the gaze ray
+     * @returns {{interactable: THREE.Object3D, distance: number}|null}
+     */
+    _findHit() {
+        const candidates = [];
+        this.interactables.forEach((callback, object) => {
+            if (this._isVisible(object)) candidates.push(object);
+        });
+        if (candidates.length === 0) return null;
+
+        const intersections = this.raycaster.intersectObjects(candidates, true);
+        for (const intersection of intersections) {
+            const interactable = this._resolveInteractable(intersection.object);
+            if (interactable) {
+                return { interactable, distance: intersection.distance };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Walk up from a hit object to the registered interactable that owns it
+     * @param {THREE.Object3D} object
+     * @returns {THREE.Object3D|null}
+     */
+    _resolveInteractable(object) {
+        let current = object;
+        while (current) {
+            if (this.interactables.has(current)) return current;
+            current = current.parent;
+        }
+        return null;
+    }
+
+    /**
+     * Raycaster ignores `visible`, so check the object and its ancestors
+     * @param {THREE.Object3D} object
+     * @returns {boolean}
+     */
+    _isVisible(object) {
+        let current = object;
+        while (current) {
+            if (!current.visible) return false;
+            current = current.parent;
+        }
+        return true;
+    }
+
+    _startGaze(object) {
+        this.gazedObject = object;
+        this.dwellTimer = 0;
+        this.hasFired = false;
+        this._setProgress(0);
+        if (this.onGazeStart) this.onGazeStart(object);
+    }
+
+    _endGaze() {
+        const previous = this.gazedObject;
+        this.gazedObject = null;
+        this.dwellTimer = 0;
+        this.hasFired = false;
+        this._setProgress(0);
+        if (previous && this.onGazeEnd) this.onGazeEnd(previous);
+    }
+
+    /**
+     * Reveal the progress ring proportionally to dwell progress
+     * @param {number} progress - 0..1
+     */
+    _setProgress(progress) {
+        const segments = Math.round(progress * this.progressSegments);
+        this.progressRing.geometry.setDrawRange(0, segments * 6);
+        this.progressRing.visible = segments > 0;
+    }
+}
@@ -0,0 +1,327 @@
+/**
+ * In-world step panel for VR sessions.
+ * Builds a floating panel of 3D buttons from the assembly steps (same list StepCardsUI shows on desktop),
+ * with prev/next controls and a "now playing" indicator. The panel loosely follows the user's head
+ * and is only visible while the renderer is presenting.
+ */
+export class VRStepNavigator {
+    /**
+     * @param {THREE.Scene} scene - Scene the panel is added to
+     * @param {THREE.Camera} camera - Camera whose pose is followed (updated by WebXR while presenting)
+     * @param {Object} THREE - The three.js module
+     */
+    constructor(scene, camera, THREE) {
+        this.THREE = THREE;
+        this.scene = scene;
+        this.camera = camera;
+
+        this.steps = [];
+        this.onStepSelect = null;
+        this.activeIndex = -1;
+
+        // Button meshes registered with the gaze controller
+        this.buttons = [];
+        this.stepButtons = [];
+
+        // Layout (meters)
+        this.panelWidth = 0.7;
+        this.buttonHeight = 0.07;
+        this.buttonGap = 0.015;
+
+        // Follow behaviour
+        this.distance = 1.4;
+        this.heightOffset = -0.15;
+        this.followThreshold = Math.PI / 5; // re-center when the user looks ~36° away
+        this.followSpeed = 0.06;
+        this._isFollowing = false;
+        this._wasPresenting = false;
+
+        this._cameraPosition = new THREE.Vector3();
+        this._cameraForward = new THREE.Vector3();
+        this._targetPosition = new THREE.Vector3();
+        this._panelDirection = new THREE.Vector3();
+
+        this.panel = new THREE.Group();
+        this.panel.name = 'VRStepNavigator';
+        this.panel.visible = false;
+        this.scene.add(this.panel);
+    }
+
+    /**
+     * Build the panel from the assembly steps
+     * @param {Object[]} steps - Steps from AssemblyManager.json
+     * @param {Function} onStepSelect - Called with the step when a button is activated
+     */
+    initialize(steps, onStepSelect) {
+        this.steps = steps || [];
+        this.onStepSelect = onStepSelect;
+        this._clearPanel();
+        this._buildPanel();
+        console.log(`VRStepNavigator: Created panel with ${this.steps.length} step buttons`);
+    }
+
+    _buildPanel() {
+        const THREE = this.THREE;
+        const rowHeight = this.buttonHeight + this.buttonGap;
+        const contentHeight = (this.steps.length + 3) * rowHeight;
+        let y = contentHeight / 2;
+
+        // Background
+        const background = new THREE.Mesh(
+            new THREE.PlaneGeometry(this.panelWidth + 0.06, contentHeight + 0.06),
+            new THREE.MeshBasicMaterial({ color: 0x101018, transparent: true, opacity: 0.75, depthWrite: false })
+        );
+        background.position.z = -0.005;
+        this.panel.add(background);
+
+        // Title
+        const title = this._createLabel('Assembly Steps', this.panelWidth, this.buttonHeight, {
+            background: 'rgba(0, 0, 0, 0)',
+            font: 'bold 44px sans-serif'
+        });
+        y -= rowHeight / 2;
+        title.position.y = y;
+        this.panel.add(title);
+
+        // Now playing indicator
+        this.nowPlaying = this._createLabel('Select a step', this.panelWidth, this.buttonHeight * 0.8, {
+            background: 'rgba(100, 150, 255, 0.25)',
+            color: '#cfe0ff',
+            font: '32px sans-serif'
+        });
+        y -= rowHeight;
+        this.nowPlaying.position.y = y;
+        this.panel.add(this.nowPlaying);
+
+        // One button per step
+        this.steps.forEach((step, index) => {
+            const button = this._createButton(
+                `${index + 1}. ${step.label || `Step ${index + 1}`}`,
+                this.panelWidth,
+                this.buttonHeight,
+                () => this.selectStep(index)
+            );
+            y -= rowHeight;
+            button.position.y = y;
+            button.userData.step = step;
+            button.userData.stepIndex = index;
+            this.panel.add(button);
+            this.stepButtons.push(button);
+        });
+
+        // Prev / next controls
+        y -= rowHeight;
+        const halfWidth = (this.panelWidth - this.buttonGap) / 2;
+        const prevButton = this._createButton('◀ Prev', halfWidth, this.buttonHeight, () => this.previousStep());
+        prevButton.position.set(-(halfWidth + this.buttonGap) / 2, y, 0);
+        this.panel.add(prevButton);
+
+        const nextButton = this._createButton('Next ▶', halfWidth, this.buttonHeight, () => this.nextStep());
+        nextButton.position.set((halfWidth + this.buttonGap) / 2, y, 0);
+        this.panel.add(nextButton);
+
+        this._updateButtonStates();
+    }
+
+    /**
+     * Create a gaze-selectable button mesh
+     * @param {string} text - Button label
+     * @param {number} width - Width in meters
+     * @param {number} height - Height in meters
+     * @param {Function} onActivate - Called when the button is selected
+     * @returns {THREE.Mesh}
+     */
+    _createButton(text, width, height, onActivate) {
+        const button = this._createLabel(text, width, height, {
+            background: 'rgba(255, 255, 255, 0.12)',
+            font: '34px sans-serif'
+        });
+        button.userData.isButton = true;
+        button.userData.vrCallback = () => onActivate();
+        button.userData.baseColor = 0xffffff;
+        this.buttons.push(button);
+        return button;
+    }
+
+    /**
+     * Create a plane with text rendered to a canvas texture
+     * @param {string} text
+     * @param {number} width - Width in meters
+     * @param {number} height - Height in meters
+     * @param {Object} style - background, color, font
+     * @returns {THREE.Mesh}
+     */
+    _createLabel(text, width, height, style = {}) {
+        const THREE = this.THREE;
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = Math.max(32, Math.round(512 * height / width));
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true });
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+        mesh.userData.canvas = canvas;
+        mesh.userData.labelStyle = style;
+        this._drawLabel(mesh, text);
+        return mesh;
+    }
+
+    _drawLabel(mesh, text) {
+        const canvas = mesh.userData.canvas;
+        const style = mesh.userData.labelStyle;
+        const ctx = canvas.getContext('2d');
+        const radius = canvas.height * 0.2;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = style.background || 'rgba(255, 255, 255, 0.12)';
+        ctx.beginPath();
+        ctx.roundRect(0, 0, canvas.width, canvas.height, radius);
+        ctx.fill();
+
+        ctx.fillStyle = style.color || '#ffffff';
+        ctx.font = style.font || '34px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width - 24);
+
+        mesh.material.map.needsUpdate = true;
+        mesh.userData.text = text;
+    }
+
+    /**
+     * Get all buttons to register with the gaze controller
+     * @returns {THREE.Mesh[]}
+     */
+    getInteractables() {
+        return this.buttons;
+    }
+
+    /**
+     * Select a step by index and notify the application
+     * @param {number} index
+     */
+    selectStep(index) {
+        if (index < 0 || index >= this.steps.length) return;
+        this.setActiveStep(this.steps[index].id);
+        if (this.onStepSelect) {
+            this.onStepSelect(this.steps[index]);
+        }
+    }
+
+    nextStep() {
+        this.selectStep(Math.min(this.activeIndex + 1, this.steps.length - 1));
+    }
+
+    previousStep() {
+        this.selectStep(Math.max(this.activeIndex - 1, 0));
+    }
+
+    /**
+     * Mark a step as playing (also used when the step was started from the desktop UI)
+     * @param {string} stepId
+     */
+    setActiveStep(stepId) {
+        this.activeIndex = this.steps.findIndex(s => s.id === stepId);
+        const step = this.steps[this.activeIndex];
+        if (this.nowPlaying) {
+            this._drawLabel(this.nowPlaying, step ? `▶ Now playing: ${step.label || step.id}` : 'Select a step');
+        }
+        this._updateButtonStates();
+    }
+
+    _updateButtonStates() {
+        this.stepButtons.forEach(button => {
+            const isActive = button.userData.stepIndex === this.activeIndex;
+            button.userData.baseColor = isActive ? 0x8fb4ff : 0xffffff;
+            button.material.color.setHex(button.userData.baseColor);
+        });
+    }
+
+    /**
+     * Highlight a button while it is gazed at
+     * @param {THREE.Mesh} button
+     */
+    highlightButton(button) {
+        if (!button.userData.isButton) return;
+        button.material.color.setHex(0x6496ff);
+        button.scale.setScalar(1.05);
+    }
+
+    /**
+     * Restore a button's normal look
+     * @param {THREE.Mesh} button
+     */
+    unhighlightButton(button) {
+        if (!button.userData.isButton) return;
+        button.material.color.setHex(button.userData.baseColor ?? 0xffffff);
+        button.scale.setScalar(1);
+    }
+
+    /**
+     * Show/hide the panel and keep it loosely in front of the user (call each frame)
+     * @param {boolean} isPresenting - Whether an XR session is presenting
+     */
+    update(isPresenting) {
+        this.panel.visible = isPresenting && this.steps.length > 0;
+        if (!this.panel.visible) {
+            this._wasPresenting = false;
+            return;
+        }
+
+        this.camera.getWorldPosition(this._cameraPosition);
+        this.camera.getWorldDirection(this._cameraForward);
+        this._cameraForward.y = 0;
+        if (this._cameraForward.lengthSq() < 1e-6) return; // looking straight up/down
+        this._cameraForward.normalize();
+
+        this._targetPosition.copy(this._cameraPosition).addScaledVector(this._cameraForward, this.distance);
+        this._targetPosition.y = this._cameraPosition.y + this.heightOffset;
+
+        if (!this._wasPresenting) {
+            // Snap in front of the user when the session starts
+            this.panel.position.copy(this._targetPosition);
+            this._wasPresenting = true;
+        } else {
+            this._panelDirection.subVectors(this.panel.position, this._cameraPosition);
+            this._panelDirection.y = 0;
+            this._panelDirection.normalize();
+            const angle = this._panelDirection.angleTo(this._cameraForward);
+
+            if (angle > this.followThreshold) this._isFollowing = true;
+            if (this._isFollowing) {
+                this.panel.position.lerp(this._targetPosition, this.followSpeed);
+                if (this.panel.position.distanceTo(this._targetPosition) < 0.02) {
+                    this._isFollowing = false;
+                }
+            }
+        }
+
+        this.panel.lookAt(this._cameraPosition.x, this.panel.position.y, this._cameraPosition.z);
+    }
+
+    /**
+     * Remove every step button (product unload); the panel group stays in the scene, empty
+     */
+    dispose() {
+        this._clearPanel();
+        this.steps = [];
+        this.onStepSelect = null;
+    }
+
+    _clearPanel() {
+        this.panel.traverse(child => {
+            if (child.isMesh) {
+                child.geometry.dispose();
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+        this.panel.clear();
+        this.buttons = [];
+        this.stepButtons = [];
+        this.nowPlaying = null;
+        this.activeIndex = -1;
+    }
+}
@@ -1,13 +1,23 @@
-import * as THREE from 'three';
+import { StepStateStore } from './StepStateStore.js';
 
+/**
+ * Hides and fades meshes (visibility and material opacity only; moving parts is StagingManager's job).
+ * Loaded-state visibility and material flags come from the StepStateStore baseline.
+ */
 export class VisibilityManager {
-    constructor(meshGroupLoader, scene) {
+    /**
+     * @param {MeshGroupLoader} meshGroupLoader - Provides the mesh groups
+     * @param {THREE.Scene} scene - The scene
+     * @param {TweenManager} tweenManager - Clock driving fades (advanced by the render loop)
+     * @param {StepStateStore} stateStore - Receives the loaded-state baseline in initialize()
+     */
+    constructor(meshGroupLoader, scene, tweenManager, stateStore) {
         this.meshGroupLoader = meshGroupLoader;
         this.scene = scene;
+        this.tweenManager = tweenManager;
+        this.stateStore = stateStore;
         this.allBaseMeshNames = [];
         this.allAssembledGroupNames = [];
-        this.originalPositions = new Map();
-        this.originalMaterialProps = new Map();
     }
 
     initialize() {
@@ -18,8 +28,6 @@ export class VisibilityManager {
             const meshes = this.meshGroupLoader.getMeshes(name);
             if (meshes) {
                 meshes.forEach(mesh => {
-                    this.originalPositions.set(mesh.uuid, mesh.position.clone());
-                    
                     // Clone materials so each mesh has its own instance for independent opacity control
                     if (mesh.material) {
                         if (Array.isArray(mesh.material)) {
@@ -27,172 +35,148 @@ export class VisibilityManager {
                         } else {
                             mesh.material = mesh.material.clone();
                         }
-                        
-                        // Store original material properties for fade restoration
-                        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
-                        const materialProps = materials.map(mat => ({
-                            transparent: mat.transparent,
-                            opacity: mat.opacity
-                        }));
-                        this.originalMaterialProps.set(mesh.uuid, materialProps);
                     }
                 });
             }
         });
+
+        // Snapshot the loaded state (transforms, visibility, material flags) for exact restores
+        this.stateStore.captureBaseline(this.getAllMeshes());
         
         console.log('VisibilityManager: Initialized with', 
             this.allBaseMeshNames.length, 'base meshes and',
             this.allAssembledGroupNames.length, 'assembled groups');
     }
 
-    async showOnlyStepMeshes(step) {
-        const involvedBaseMeshes = step.involved?.baseMeshes || [];
-        const involvedAssembledGroups = step.involved?.assembledGroups || [];
-
-        const allInvolvedMeshes = [];
-
-        involvedBaseMeshes.forEach(name => {
-            const meshes = this.meshGroupLoader.getMeshes(name);
-            if (meshes) {
-                allInvolvedMeshes.push(...meshes);
-            }
-        });
-
-        involvedAssembledGroups.forEach(name => {
-            const meshes = this.meshGroupLoader.getAssembledGroupMeshes(name);
-            if (meshes) {
-                allInvolvedMeshes.push(...meshes);
-            }
-        });
-
-        console.log(`VisibilityManager: Processing ${allInvolvedMeshes.length} meshes for step ${step.id}`);
-
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        // Fade out non-involved meshes
-        await this._fadeOutNonInvolved(allInvolvedMeshes);
-
-        // Wait 0.5 seconds after hiding meshes before starting translation
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        if (allInvolvedMeshes.length > 0) {
-            await this._centerMeshesAtOrigin(allInvolvedMeshes);
+    /**
+     * Hide or fade every mesh that is not involved in the step (the step's `visibility` block)
+     * @param {THREE.Mesh[]} involvedMeshes - Meshes involved in the step
+     * @param {Object} visibility - { nonInvolved: 'hide' | 'fade', opacity, duration (seconds) }
+     * @param {CancellationToken} token - Optional token that aborts the fade
+     */
+    async isolate(involvedMeshes, { nonInvolved = 'fade', opacity = 0, duration = 0.5 } = {}, token = null) {
+        console.log(`VisibilityManager: Isolating ${involvedMeshes.length} meshes`);
+        if (nonInvolved === 'hide') {
+            this._hideNonInvolved(involvedMeshes);
+        } else {
+            await this._fadeOutNonInvolved(involvedMeshes, opacity, duration, token);
         }
-
-        console.log(`VisibilityManager: Centered and showing ${allInvolvedMeshes.length} meshes`);
     }
 
-    async showOnlyStepMeshesWithFade(step, assemblyAnimator = null, droneModel = null) {
-        const involvedBaseMeshes = step.involved?.baseMeshes || [];
-        const involvedAssembledGroups = step.involved?.assembledGroups || [];
+    /**
+     * Fade the involved meshes out while keeping them visible, so the outline still renders
+     * while their animation clones move in
+     * @param {THREE.Mesh[]} involvedMeshes
+     * @param {number} duration - Seconds
+     * @param {CancellationToken} token - Optional token that aborts the fade
+     */
+    async fadeOutInvolved(involvedMeshes, duration = 0.5, token = null) {
+        await this._fadeOutInvolved(involvedMeshes, duration, token);
+    }
 
-        const allInvolvedMeshes = [];
+    /**
+     * Fade every mesh back to its loaded visibility and material flags
+     * @param {CancellationToken} token - Optional token that aborts the fade
+     */
+    async restore(token = null) {
+        await this.showAll(token);
+    }
 
-        involvedBaseMeshes.forEach(name => {
-            const meshes = this.meshGroupLoader.getMeshes(name);
-            if (meshes) {
-                allInvolvedMeshes.push(...meshes);
-            }
-        });
+    /**
+     * Show the cumulative build for a step (no fades; transforms are left to StagingManager):
+     * completed and current parts solid, future parts hidden or ghosted, pending parts invisible
+     * but kept in the scene for the outline until their animation installs them
+     * @param {Object} state - { completed, current, future, pending } mesh lists
+     * @param {Object} options - { futureMode: 'hidden' | 'ghost', ghostOpacity }
+     */
+    applyBuildState({ completed = [], current = [], future = [], pending = [] }, { futureMode = 'hidden', ghostOpacity = 0.12 } = {}) {
+        const pendingSet = new Set(pending);
 
-        involvedAssembledGroups.forEach(name => {
-            const meshes = this.meshGroupLoader.getAssembledGroupMeshes(name);
-            if (meshes) {
-                allInvolvedMeshes.push(...meshes);
-            }
+        [...completed, ...current].forEach(mesh => {
+            mesh.visible = true;
+            this._restoreMaterials(mesh);
         });
 
-        console.log(`VisibilityManager: Processing ${allInvolvedMeshes.length} meshes for step ${step.id} with fade`);
-
-        // 1. Fade out non-involved meshes
-        await this._fadeOutNonInvolved(allInvolvedMeshes);
-
-        // 2. Translate involved meshes to center
-        if (allInvolvedMeshes.length > 0) {
-            await this._centerMeshesAtOrigin(allInvolvedMeshes);
+        const futureMeshes = future.filter(mesh => !pendingSet.has(mesh));
+        if (futureMode === 'ghost') {
+            // Faint, non-occluding preview of what is still to come
+            futureMeshes.forEach(mesh => {
+                mesh.visible = true;
+                this._forEachMaterial(mesh, mat => {
+                    mat.transparent = true;
+                    mat.depthWrite = false;
+                });
+            });
+            this._setOpacity(futureMeshes, ghostOpacity);
+        } else {
+            futureMeshes.forEach(mesh => {
+                mesh.visible = false;
+            });
         }
 
-        // 3. Fade out involved meshes while keeping outline (meshes stay at center)
-        await this._fadeOutInvolved(allInvolvedMeshes);
+        pending.forEach(mesh => {
+            mesh.visible = true;
+            this._forEachMaterial(mesh, mat => {
+                mat.transparent = true;
+            });
+        });
+        this._setOpacity(pending, 0);
 
-        // 4. Wait 1 second before playing assembly animation
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        console.log(`VisibilityManager: Build state - ${completed.length} completed, ` +
+            `${current.length} current, ${future.length} future meshes (${futureMode})`);
+    }
 
-        // 5. Play assembly animation if animator is available
-        if (assemblyAnimator && droneModel) {
-            const stepAnimation = assemblyAnimator.animationConfig?.[step.id];
-            if (stepAnimation) {
-                // Create clones for animation (originals stay at center with outline)
-                assemblyAnimator.createAnimationClones(stepAnimation, droneModel, this.scene);
-                // Play the assembly animation on clones
-                await assemblyAnimator.playAssemblyAnimation(step.id, droneModel);
-            }
-        }
+    _getNonInvolved(involvedMeshes) {
+        const involvedSet = new Set(involvedMeshes);
+        return this.getAllMeshes().filter(mesh => !involvedSet.has(mesh));
+    }
 
-        console.log(`VisibilityManager: Completed fade and assembly sequence for ${allInvolvedMeshes.length} meshes`);
+    _hideNonInvolved(involvedMeshes) {
+        const meshesToHide = this._getNonInvolved(involvedMeshes);
+        meshesToHide.forEach(mesh => {
+            mesh.visible = false;
+        });
+        console.log(`VisibilityManager: Hid ${meshesToHide.length} meshes`);
     }
 
-    async _fadeOutNonInvolved(involvedMeshes) {
-        const involvedSet = new Set(involvedMeshes);
-        const meshesToFade = [];
-        
-        // Collect all meshes that need to fade out
-        this.allBaseMeshNames.forEach(name => {
-            const meshes = this.meshGroupLoader.getMeshes(name);
-            if (meshes) {
-                meshes.forEach(mesh => {
-                    if (!involvedSet.has(mesh)) {
-                        meshesToFade.push(mesh);
-                        // Enable transparency for fade effect
-                        if (mesh.material) {
-                            const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
-                            materials.forEach(mat => {
-                                mat.transparent = true;
-                            });
-                        }
-                    }
-                });
-            }
+    /**
+     * Fade non-involved meshes to a ghost opacity (hidden completely when it is 0)
+     * @param {THREE.Mesh[]} involvedMeshes
+     * @param {number} opacity - Target opacity
+     * @param {number} duration - Seconds
+     * @param {CancellationToken} token
+     */
+    async _fadeOutNonInvolved(involvedMeshes, opacity, duration, token = null) {
+        const meshesToFade = this._getNonInvolved(involvedMeshes);
+
+        // Enable transparency for fade effect; ghosts must not hide the staged parts behind them
+        meshesToFade.forEach(mesh => {
+            this._forEachMaterial(mesh, mat => {
+                mat.transparent = true;
+                if (opacity > 0) mat.depthWrite = false;
+            });
         });
         
-        // Animate fade out over 500ms
-        const duration = 500;
-        const startTime = Date.now();
-        
-        return new Promise(resolve => {
-            const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
-                // Fade from 1 to 0
-                const opacity = 1 - progress;
-                
-                meshesToFade.forEach(mesh => {
-                    if (mesh.material) {
-                        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
-                        materials.forEach(mat => {
-                            mat.opacity = opacity;
-                        });
-                    }
-                });
-                
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    // Hide meshes completely after fade
-                    meshesToFade.forEach(mesh => {
-                        mesh.visible = false;
-                    });
-                    console.log(`VisibilityManager: Faded out ${meshesToFade.length} meshes`);
-                    resolve();
-                }
-            };
-            
-            animate();
+        await this.tweenManager.tween({
+            duration,
+            easing: 'linear',
+            token,
+            onUpdate: (progress) => {
+                // Fade from 1 to the target opacity
+                this._setOpacity(meshesToFade, 1 + (opacity - 1) * progress);
+            }
         });
+
+        // Hide meshes completely after a fade to zero
+        if (opacity <= 0) {
+            meshesToFade.forEach(mesh => {
+                mesh.visible = false;
+            });
+        }
+        console.log(`VisibilityManager: Faded ${meshesToFade.length} meshes to ${opacity}`);
     }
 
-    async _fadeOutInvolved(involvedMeshes) {
+    async _fadeOutInvolved(involvedMeshes, duration, token = null) {
         const meshesToFade = involvedMeshes;
         
         // Enable transparency for fade effect
@@ -205,119 +189,26 @@ export class VisibilityManager {
             }
         });
         
-        // Animate fade out over 500ms
-        const duration = 500;
-        const startTime = Date.now();
-        
-        return new Promise(resolve => {
-            const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
+        await this.tweenManager.tween({
+            duration,
+            easing: 'linear',
+            token,
+            onUpdate: (progress) => {
                 // Fade from 1 to 0
-                const opacity = 1 - progress;
-                
-                meshesToFade.forEach(mesh => {
-                    if (mesh.material) {
-                        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
-                        materials.forEach(mat => {
-                            mat.opacity = opacity;
-                        });
-                    }
-                });
-                
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    // Set opacity to 0 but keep meshes visible for outline to work
-                    meshesToFade.forEach(mesh => {
-                        if (mesh.material) {
-                            const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
-                            materials.forEach(mat => {
-                                mat.opacity = 0;
-                            });
-                        }
-                        // Keep visible=true so OutlinePass can still detect and outline the mesh
-                        mesh.visible = true;
-                    });
-                    console.log(`VisibilityManager: Faded out ${meshesToFade.length} involved meshes (kept visible for outline)`);
-                    resolve();
-                }
-            };
-            
-            animate();
-        });
-    }
-
-    async _centerMeshesAtOrigin(meshes) {
-        const boundingBox = new THREE.Box3();
-        
-        // Calculate bounding box for all meshes
-        meshes.forEach(mesh => {
-            const meshBox = new THREE.Box3().setFromObject(mesh);
-            boundingBox.union(meshBox);
-        });
-
-        const center = new THREE.Vector3();
-        boundingBox.getCenter(center);
-
-        // Calculate offset for translation
-        const offset = center.clone().negate();
-        console.log(`VisibilityManager: Calculated offset (${offset.x.toFixed(2)}, ${offset.y.toFixed(2)}, ${offset.z.toFixed(2)})`);
-        
-        // Store start positions and calculate target positions
-        const animations = meshes.map(mesh => {
-            const startWorldPos = new THREE.Vector3();
-            mesh.getWorldPosition(startWorldPos);
-            
-            const targetWorldPos = startWorldPos.clone().add(offset);
-            
-            // Convert target world position to local position
-            let targetLocalPos = targetWorldPos.clone();
-            if (mesh.parent) {
-                const parentMatrixInverse = new THREE.Matrix4().copy(mesh.parent.matrixWorld).invert();
-                targetLocalPos.applyMatrix4(parentMatrixInverse);
+                this._setOpacity(meshesToFade, 1 - progress);
             }
-            
-            return {
-                mesh,
-                startPos: mesh.position.clone(),
-                targetPos: targetLocalPos
-            };
         });
-        
-        // Animate over 1.5 seconds
-        const duration = 1500; // milliseconds
-        const startTime = Date.now();
-        
-        return new Promise(resolve => {
-            const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
-                // Ease-in-out function for smooth animation
-                const eased = progress < 0.5
-                    ? 2 * progress * progress
-                    : 1 - Math.pow(-2 * progress + 2, 2) / 2;
-                
-                // Update mesh positions
-                animations.forEach(({ mesh, startPos, targetPos }) => {
-                    mesh.position.lerpVectors(startPos, targetPos, eased);
-                });
-                
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    console.log(`VisibilityManager: Animation complete - translated ${meshes.length} meshes`);
-                    resolve();
-                }
-            };
-            
-            animate();
+
+        // Set opacity to 0 but keep meshes visible for outline to work
+        this._setOpacity(meshesToFade, 0);
+        meshesToFade.forEach(mesh => {
+            // Keep visible=true so OutlinePass can still detect and outline the mesh
+            mesh.visible = true;
         });
+        console.log(`VisibilityManager: Faded out ${meshesToFade.length} involved meshes (kept visible for outline)`);
     }
 
-    async showAll() {
+    async showAll(token = null) {
         const allMeshes = [];
         const meshAnimations = [];
         
@@ -326,21 +217,23 @@ export class VisibilityManager {
             const meshes = this.meshGroupLoader.getMeshes(name);
             if (meshes) {
                 meshes.forEach(mesh => {
-                    mesh.visible = true;
+                    const baseline = this.stateStore.getBaseline(mesh);
+                    mesh.visible = baseline ? baseline.visible : true;
                     allMeshes.push(mesh);
                     
                     if (mesh.material) {
                         const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
-                        const originalProps = this.originalMaterialProps.get(mesh.uuid) || [];
+                        const originalProps = baseline?.materials || [];
                         
                         // Store starting opacity and target opacity for each material
                         const matAnimations = materials.map((mat, idx) => {
-                            const original = originalProps[idx] || { transparent: false, opacity: 1 };
+                            const original = originalProps[idx] || { transparent: false, opacity: 1, depthWrite: true };
                             return {
                                 material: mat,
                                 startOpacity: mat.opacity,
                                 targetOpacity: original.opacity,
-                                targetTransparent: original.transparent
+                                targetTransparent: original.transparent,
+                                targetDepthWrite: original.depthWrite ?? true
                             };
                         });
                         
@@ -355,59 +248,83 @@ export class VisibilityManager {
             }
         });
         
-        // Fade in over 300ms
-        const duration = 300;
-        const startTime = Date.now();
-        
-        return new Promise(resolve => {
-            const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
+        // Fade in over 0.3s
+        await this.tweenManager.tween({
+            duration: 0.3,
+            easing: 'linear',
+            token,
+            onUpdate: (progress) => {
                 meshAnimations.forEach(({ matAnimations }) => {
                     matAnimations.forEach(({ material, startOpacity, targetOpacity }) => {
                         material.opacity = startOpacity + (targetOpacity - startOpacity) * progress;
                     });
                 });
-                
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    // Restore original material properties
-                    meshAnimations.forEach(({ matAnimations }) => {
-                        matAnimations.forEach(({ material, targetOpacity, targetTransparent }) => {
-                            material.opacity = targetOpacity;
-                            material.transparent = targetTransparent;
-                        });
-                    });
-                    console.log('VisibilityManager: All meshes visible');
-                    resolve();
-                }
-            };
-            
-            animate();
+            }
         });
+
+        // Restore original material properties
+        meshAnimations.forEach(({ matAnimations }) => {
+            matAnimations.forEach(({ material, targetOpacity, targetTransparent, targetDepthWrite }) => {
+                material.opacity = targetOpacity;
+                material.transparent = targetTransparent;
+                material.depthWrite = targetDepthWrite;
+            });
+        });
+        console.log('VisibilityManager: All meshes visible');
     }
 
-    hideAll() {
+    /**
+     * Restore a mesh's loaded material flags (opacity, transparent, depthWrite)
+     * @param {THREE.Mesh} mesh
+     */
+    _restoreMaterials(mesh) {
+        const baseline = this.stateStore.getBaseline(mesh);
+        if (baseline) StepStateStore.apply(mesh, baseline, { transform: false, visibility: false });
+    }
+
+    /**
+     * @param {THREE.Mesh} mesh
+     * @param {Function} fn - Called with each material of the mesh
+     */
+    _forEachMaterial(mesh, fn) {
+        if (!mesh.material) return;
+        const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        materials.forEach(fn);
+    }
+
+    /**
+     * Get every base mesh managed by this class
+     * @returns {THREE.Mesh[]}
+     */
+    getAllMeshes() {
+        const meshes = [];
         this.allBaseMeshNames.forEach(name => {
-            this.meshGroupLoader.setGroupVisibility(name, false);
+            const groupMeshes = this.meshGroupLoader.getMeshes(name);
+            if (groupMeshes) meshes.push(...groupMeshes);
         });
-        console.log('VisibilityManager: All meshes hidden');
+        return meshes;
     }
 
-    resetPositions() {
-        this.allBaseMeshNames.forEach(name => {
-            const meshes = this.meshGroupLoader.getMeshes(name);
-            if (meshes) {
-                meshes.forEach(mesh => {
-                    const originalPos = this.originalPositions.get(mesh.uuid);
-                    if (originalPos) {
-                        mesh.position.copy(originalPos);
-                    }
+    /**
+     * Set the opacity of every material of the given meshes
+     * @param {THREE.Mesh[]} meshes
+     * @param {number} opacity
+     */
+    _setOpacity(meshes, opacity) {
+        meshes.forEach(mesh => {
+            if (mesh.material) {
+                const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+                materials.forEach(mat => {
+                    mat.opacity = opacity;
                 });
             }
         });
-        console.log('VisibilityManager: Reset all mesh positions');
+    }
+
+    hideAll() {
+        this.allBaseMeshNames.forEach(name => {
+            this.meshGroupLoader.setGroupVisibility(name, false);
+        });
+        console.log('VisibilityManager: All meshes hidden');
     }
 }
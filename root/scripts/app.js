@@ -6,11 +6,28 @@ import { VRButton } from 'three/webxr/VRButton.js';
 import { OutlineManager } from './OutlineManager.js';
 import { MeshGroupLoader } from './MeshGroupLoader.js';
 import { VisibilityManager } from './VisibilityManager.js';
+import { StagingManager } from './StagingManager.js';
+import { StepStateStore } from './StepStateStore.js';
 import { StepCardsUI } from './StepCardsUI.js';
 import { AssemblyAnimator } from './AssemblyAnimator.js';
 import { VRGazeController } from './VRGazeController.js';
 import { VRStepNavigator } from './VRStepNavigator.js';
 import { ProductSelector } from './ProductSelector.js';
+import { AssemblyManager } from './AssemblyManager.js';
+import { TweenManager } from './TweenManager.js';
+import { PlaybackBarUI } from './PlaybackBarUI.js';
+import { PartPicker } from './PartPicker.js';
+import { PartsCatalog } from './PartsCatalog.js';
+import { PartInfoPanel } from './PartInfoPanel.js';
+import { BillOfMaterials } from './BillOfMaterials.js';
+import { BomPanelUI } from './BomPanelUI.js';
+import { UrlState } from './UrlState.js';
+import { LoadingOverlay } from './LoadingOverlay.js';
+import { ConfigValidator } from './ConfigValidator.js';
+import { ConfigReportUI } from './ConfigReportUI.js';
+import { CoverageAnalyzer } from './CoverageAnalyzer.js';
+import { StepEditor } from './StepEditor.js';
+import { MeshGroupEditorUI } from './MeshGroupEditorUI.js';
 
 
 
@@ -21,6 +38,10 @@ export class application{
         this.construct_Gui(); // Create GUI first
         this.construct_scene_And_Renderer();
         this.construct_camera();
+
+        // Initialize TweenManager (shared clock for all fades, moves and delays)
+        this.tweenManager = new TweenManager();
+        this.tweenManager.setupDebugUI(this.gui);
         
         // Initialize OutlineManager for post-processing effects
         this.outlineManager = new OutlineManager(this.scene, this.Cam, this.renderer, this.gui);
@@ -30,23 +51,84 @@ export class application{
         
         // Initialize VisibilityManager
         this.visibilityManager = null; // Will be initialized after groups are built
+
+        // Initialize StepStateStore (loaded-state snapshots) and StagingManager (moves parts for viewing)
+        this.stepStateStore = new StepStateStore();
+        this.stagingManager = new StagingManager(this.stepStateStore, this.tweenManager);
         
         // Initialize StepCardsUI
         this.stepCardsUI = new StepCardsUI();
         
         // Initialize AssemblyAnimator
-        this.assemblyAnimator = new AssemblyAnimator(this.meshGroupLoader);
+        this.assemblyAnimator = new AssemblyAnimator(this.meshGroupLoader, this.tweenManager);
+
+        // Initialize PlaybackBarUI (pause/scrub/replay/reverse of the step animation)
+        this.playbackBarUI = new PlaybackBarUI();
+        this.playbackBarUI.initialize(this.assemblyAnimator);
+
+        // Initialize AssemblyManager (single owner of the step lifecycle)
+        this.assemblyManager = new AssemblyManager(THREE, this.scene, this.gui);
+        this.setupAssemblyEvents();
+
+        // Initialize PartPicker (desktop hover/click on parts; wired up once the model is loaded)
+        this.partPicker = new PartPicker(this.Cam, this.canvas);
+
+        // Initialize StepEditor (authoring mode in the "Step Editor" GUI folder; wired up once the model is loaded)
+        this.stepEditor = new StepEditor(this.Cam, this.canvas, this.scene, this.Cam_Controls);
+
+        // Initialize PartsCatalog (per-product BOM metadata) and the part info side panel
+        this.partsCatalog = new PartsCatalog();
+        this.partInfoPanel = new PartInfoPanel();
+        this.partInfoPanel.initialize(this.partsCatalog);
+
+        // Initialize BomPanelUI (BOM table and export; the BillOfMaterials is built per product)
+        this.billOfMaterials = null;
+        this.bomPanelUI = new BomPanelUI();
         
-        // Initialize VR components (will be set up after camera is created)
-        this.vrGazeController = null;
-        this.vrStepNavigator = null;
+        // VR components (vrGazeController, vrStepNavigator) are created in construct_camera()
+
+        // Deep links (?product=&step=&mode=&cam=); browser back/forward re-applies them
+        this.urlState = new UrlState();
+        this.pendingUrlState = this.urlState.read();
+        this.applyingUrlState = false;
+        this.urlState.listen((state) => this.applyUrlState(state));
+        this.Cam_Controls.addEventListener('end', () => this.writeCameraToUrl());
+
+        // Loading progress, load errors with retry, and unresolved groups/steps
+        this.loadingOverlay = new LoadingOverlay();
+
+        // Config validation report (schemas are loaded on first use)
+        this.configValidator = null;
+        this.configReportUI = new ConfigReportUI();
+        if (this.gui) {
+            this.gui.add({ validateConfig: () => this.validateConfig() }, 'validateConfig').name('Validate Config');
+            this.gui.add({ showCoverage: () => this.showCoverage() }, 'showCoverage').name('Coverage Report');
+        }
+
+        // Interactive MeshGroups.json editing (checked with the same validator)
+        this.meshGroupEditorUI = new MeshGroupEditorUI();
+        if (this.gui) {
+            this.gui.add({ editMeshGroups: () => this.toggleMeshGroupEditor() }, 'editMeshGroups').name('Mesh Group Editor');
+        }
+
+        // "Change product" unloads the current product and brings the selector back
+        this.productId = null;
+        this.productLoadId = 0;
+        this.changeProductButton = document.getElementById('changeProductButton');
+        this.changeProductButton?.addEventListener('click', () => this.changeProduct());
 
         // Initialize ProductSelector and wait for user to choose
         this.productSelector = new ProductSelector();
-        this.productSelector.initialize((productType) => {
-            console.log(`Loading product: ${productType}`);
-            const config = ProductSelector.getProductConfig(productType);
+        this.productSelector.initialize((productId, config) => {
+            console.log(`Loading product: ${productId}`);
+            // A deep link only applies to the product it names
+            if (this.pendingUrlState?.product !== productId) this.pendingUrlState = null;
+            this.urlState.write({ product: productId }, { push: true });
             this.loadProductModel(config);
+        }).then(() => {
+            // Deep link to a product skips the selection screen
+            const product = this.pendingUrlState?.product;
+            if (product) this.productSelector.selectProduct(product, { animate: false });
         });
     }
 
@@ -114,18 +196,49 @@ export class application{
 
     /**
      * Load a product model with its configuration
-     * @param {Object} config - Product configuration (modelPath, meshGroupsPath, assemblyPath, animationsPath, scale, position)
+     * @param {Object} config - Product configuration (id, modelPath, meshGroupsPath, assemblyPath, animationsPath, catalogPath, scale, position)
      */
     loadProductModel(config){
+        // Loads that finish after the product was changed again are dropped
+        const loadId = ++this.productLoadId;
+        const isStale = () => loadId !== this.productLoadId;
+        this.productId = config.id || null;
+
+        const overlay = this.loadingOverlay;
+        overlay.show(`Loading ${config.name || config.id || 'product'}`);
+        overlay.addItem('model', 'Model');
+        overlay.addItem('meshGroups', 'Mesh groups');
+        overlay.addItem('animations', 'Animations');
+        overlay.addItem('assembly', 'Assembly steps');
+
+        // Failures keep the overlay up with retry and back-to-products actions
+        const fail = (key, message, err) => {
+            console.error(`Failed to load product ${config.id}:`, message, err);
+            if (isStale()) return;
+            overlay.fail(key, err?.message);
+            overlay.showError(message, {
+                retry: () => {
+                    this.unloadProduct();
+                    this.loadProductModel(config);
+                },
+                back: () => this.changeProduct()
+            });
+        };
+
         const loader = new GLTFLoader();
         loader.load(
             config.modelPath,
             async (gltf) => {
+                if (isStale()) {
+                    if (gltf.scene) this.disposeModel(gltf.scene);
+                    return;
+                }
                 const model = gltf.scene || gltf.scenes?.[0];
                 if (!model) {
-                    console.warn('GLTF contains no scene');
+                    fail('model', `${config.modelPath} contains no scene`);
                     return;
                 }
+                overlay.complete('model');
                 // Apply scale and position from config
                 model.scale.set(config.scale, config.scale, config.scale);
                 model.position.set(...config.position);
@@ -150,87 +263,407 @@ export class application{
 
                 // Load mesh groups config and build groups
                 try {
-                    await this.meshGroupLoader.initialize(config.meshGroupsPath);
+                    await overlay.track('meshGroups', this.meshGroupLoader.initialize(config.meshGroupsPath));
+                    if (isStale()) return;
                     this.meshGroupLoader.buildGroups(model);
                     console.log('MeshGroupLoader: Groups built');
                     
                     // Initialize VisibilityManager after groups are ready
-                    this.visibilityManager = new VisibilityManager(this.meshGroupLoader, this.scene);
+                    this.visibilityManager = new VisibilityManager(this.meshGroupLoader, this.scene, this.tweenManager, this.stepStateStore);
                     this.visibilityManager.initialize();
                 } catch (err) {
-                    console.warn('Failed to load mesh groups:', err);
+                    fail('meshGroups', `Could not load the mesh groups (${config.meshGroupsPath})`, err);
+                    return;
                 }
 
                 // Load assembly config and animation config
+                let stage = 'animations';
                 try {
-                    const response = await fetch(config.assemblyPath);
-                    if (response.ok) {
-                        this.assemblyConfig = await response.json();
-                        
-                        // Load assembly animations config
-                        await this.assemblyAnimator.initialize(config.animationsPath);
-                        this.outlineManager.setupStepButtons(model, this.assemblyConfig, this.meshGroupLoader, this.visibilityManager);
-                        
-                        // Initialize step cards UI with two callbacks
-                        this.stepCardsUI.initialize(
-                            this.assemblyConfig,
-                            // onStepSelect (when card comes into focus by scrolling)
-                            (step) => {
-                                console.log('Step card focused:', step.id);
-                                // Apply outline only (no visibility or movement changes)
-                                // This will reset positions and visibility before applying new outline
-                                this.outlineManager.applyStepOutline(step, model, this.meshGroupLoader, true, this.visibilityManager);
-                            },
-                            // onStepClick (when card is clicked)
-                            (step) => {
-                                console.log('Step card clicked:', step.id);
-                                // Apply full animation (outline + fade + center + assembly)
-                                this.outlineManager.applyFullStepAnimation(step, model, this.meshGroupLoader, this.visibilityManager, this.assemblyAnimator);
-                            }
-                        );
-                        
-                        // Initialize VR step navigator with same callback
-                        this.vrStepNavigator.initialize(
-                            this.assemblyConfig.steps,
-                            (step) => {
-                                console.log('VR: Step selected:', step.id);
-                                // Apply full animation in VR
-                                this.outlineManager.applyFullStepAnimation(step, model, this.meshGroupLoader, this.visibilityManager, this.assemblyAnimator);
+                    // Load assembly animations config
+                    await overlay.track('animations', this.assemblyAnimator.initialize(config.animationsPath));
+                    if (isStale()) return;
+
+                    // Optional parts catalogue (base names are shown when there is none)
+                    await this.partsCatalog.initialize(config.catalogPath);
+
+                    stage = 'assembly';
+                    await overlay.track('assembly', this.assemblyManager.initialize(config.assemblyPath, model, {
+                        outlineManager: this.outlineManager,
+                        meshGroupLoader: this.meshGroupLoader,
+                        visibilityManager: this.visibilityManager,
+                        stagingManager: this.stagingManager,
+                        stepStateStore: this.stepStateStore,
+                        assemblyAnimator: this.assemblyAnimator,
+                        tweenManager: this.tweenManager
+                    }));
+                    if (isStale()) return;
+                    stage = 'ui';
+                    this.assemblyConfig = this.assemblyManager.assembly_config;
+
+                    // Bill of materials (counted part quantities per step)
+                    this.billOfMaterials = new BillOfMaterials(this.meshGroupLoader, this.assemblyManager, this.partsCatalog);
+                    this.partInfoPanel.setBillOfMaterials(this.billOfMaterials);
+                    this.bomPanelUI.initialize(this.billOfMaterials, this.assemblyConfig.steps, config.id);
+
+                    // Hover shows part info, click jumps to the step that installs the part
+                    this.partPicker.initialize({
+                        model,
+                        outlineManager: this.outlineManager,
+                        meshGroupLoader: this.meshGroupLoader,
+                        assemblyManager: this.assemblyManager,
+                        onPick: (mesh, { baseName, assembledGroups, step }) => {
+                            if (!baseName) return;
+                            this.partInfoPanel.showPart(baseName, {
+                                meshName: mesh.name,
+                                assembledGroups,
+                                stepLabel: step ? step.label || step.id : null
+                            });
+                        }
+                    });
+
+                    // Initialize step cards UI with two callbacks
+                    this.stepCardsUI.initialize(
+                        this.assemblyConfig,
+                        // onStepSelect (when card comes into focus by scrolling)
+                        (step) => {
+                            console.log('Step card focused:', step.id);
+                            // Outline only (positions and visibility are restored first)
+                            this.assemblyManager.focusStep(step.id);
+                            this.partInfoPanel.showStep(step, this.assemblyManager.getStepParts(step.id));
+                        },
+                        // onStepClick (when card is clicked)
+                        (step) => {
+                            console.log('Step card clicked:', step.id);
+                            // Full sequence (outline + fade + center + assembly)
+                            this.assemblyManager.startStep(step.id);
+                        },
+                        // Expandable part list of each card
+                        {
+                            getStepParts: (step) => this.billOfMaterials.getStepRows(this.assemblyConfig.steps.indexOf(step)),
+                            onPartClick: (baseName, step) => {
+                                this.partInfoPanel.showPart(baseName, { stepLabel: step.label || step.id });
                             }
-                        );
-                        
-                        // Register VR interactables with gaze controller
-                        this.vrStepNavigator.getInteractables().forEach(button => {
-                            this.vrGazeController.addInteractable(button, button.userData.vrCallback);
-                        });
-                        
-                        console.log('Assembly config loaded and step buttons created');
-                    }
+                        }
+                    );
+
+                    // Initialize VR step navigator with the same API
+                    this.setupVRSteps();
+
+                    // Step authoring (edits the configs loaded above)
+                    this.stepEditor.initialize({
+                        gui: this.gui,
+                        meshGroupLoader: this.meshGroupLoader,
+                        assemblyManager: this.assemblyManager,
+                        assemblyAnimator: this.assemblyAnimator,
+                        outlineManager: this.outlineManager,
+                        partPicker: this.partPicker,
+                        // Both take over part clicks; authoring closes the group editor
+                        onEnable: () => this.meshGroupEditorUI.hide()
+                    });
+                    this.meshGroupEditorUI.initialize({
+                        model: this.productModel,
+                        productId: this.productId,
+                        meshGroupLoader: this.meshGroupLoader,
+                        assemblyManager: this.assemblyManager,
+                        assemblyAnimator: this.assemblyAnimator,
+                        outlineManager: this.outlineManager,
+                        partPicker: this.partPicker,
+                        getValidator: () => this.getConfigValidator()
+                    });
+
+                    if (this.changeProductButton) this.changeProductButton.style.display = 'block';
+                    console.log('Assembly config loaded and step buttons created');
+
+                    // Names in MeshGroups.json / AssemblyManager.json that are missing from the model
+                    overlay.showWarnings([
+                        ...this.meshGroupLoader.getWarnings(),
+                        ...this.assemblyManager.getStepWarnings()
+                    ]);
+
+                    // Step, mode and camera of a deep link
+                    const pending = this.pendingUrlState;
+                    this.pendingUrlState = null;
+                    if (pending) this.applyUrlState(pending);
                 } catch (err) {
-                    console.warn('Failed to load assembly config:', err);
+                    const messages = {
+                        animations: `Could not load the animations (${config.animationsPath})`,
+                        assembly: `Could not load the assembly steps (${config.assemblyPath})`,
+                        ui: 'Could not set up the assembly steps'
+                    };
+                    fail(stage, messages[stage], err);
                 }
             },
-            undefined,
+            (event) => {
+                if (!isStale()) overlay.setProgress('model', event.loaded, event.total);
+            },
             (err) => {
-                console.error('Failed to load product model:', config.modelPath, err);
+                fail('model', `Could not load the model (${config.modelPath})`, err);
             }
         );
     }
     
+    /**
+     * Unload the current product and return to the product selection screen
+     */
+    changeProduct() {
+        this.unloadProduct();
+        this.urlState.write({ product: null, step: null, mode: null, camera: null }, { push: true });
+        this.productSelector.show();
+    }
+
+    /**
+     * Release everything the current product loaded: its step state, clones, GUI folders,
+     * UI content and listeners, and the model's geometries, materials and textures.
+     * The managers themselves are kept and re-initialized by the next loadProductModel().
+     */
+    unloadProduct() {
+        // Invalidate loads that are still in flight
+        this.productLoadId++;
+        this.productId = null;
+        this.loadingOverlay.hide();
+        this.configReportUI.hide();
+        if (this.changeProductButton) this.changeProductButton.style.display = 'none';
+
+        // Stop the step lifecycle first (cancels its tweens), then anything still running
+        this.assemblyManager.dispose();
+        this.tweenManager.clear();
+        this.assemblyAnimator.dispose();
+        this.stagingManager.dispose();
+        this.stepStateStore.dispose();
+        this.outlineManager.reset();
+        this.meshGroupLoader.dispose();
+        this.visibilityManager = null;
+
+        // UI
+        this.stepEditor.dispose();
+        this.meshGroupEditorUI.dispose();
+        this.partPicker.dispose();
+        this.stepCardsUI.dispose();
+        this.partInfoPanel.hide();
+        this.partInfoPanel.setBillOfMaterials(null);
+        this.bomPanelUI.dispose();
+        this.billOfMaterials = null;
+        this.assemblyConfig = null;
+        this.vrGazeController.clearInteractables();
+        this.vrStepNavigator.dispose();
+
+        if (this.productModel) {
+            this.scene.remove(this.productModel);
+            this.disposeModel(this.productModel);
+            this.productModel = null;
+        }
+        console.log('Product unloaded');
+    }
+
+    /**
+     * Check the loaded product's configs against their schemas, each other and the model,
+     * and show the report
+     * @returns {Promise<Object|null>} ConfigValidator result
+     */
+    async validateConfig() {
+        if (!this.assemblyConfig || !this.productModel) {
+            console.warn('Validate config: no product loaded');
+            return null;
+        }
+        const validator = await this.getConfigValidator();
+        if (!validator) return null;
+
+        const result = validator.validate({
+            meshGroups: this.meshGroupLoader.meshGroupConfig,
+            assembly: this.assemblyConfig,
+            animations: this.assemblyAnimator.animationConfig
+        }, this.meshGroupLoader.getMeshResolver());
+        console.log(`Validate config: ${result.errors} errors, ${result.warnings} warnings`, result.issues);
+        this.configReportUI.show(result, this.productId);
+        return result;
+    }
+
+    /**
+     * ConfigValidator with the config schemas, loaded on first use
+     * @returns {Promise<ConfigValidator|null>} null if the schemas could not be loaded
+     */
+    async getConfigValidator() {
+        try {
+            if (!this.configValidator) {
+                const schemas = await ConfigValidator.loadSchemas(async (path) => {
+                    const response = await fetch(path);
+                    if (!response.ok) throw new Error(`Failed to load ${path}: ${response.status}`);
+                    return response.json();
+                });
+                this.configValidator = new ConfigValidator(schemas);
+            }
+        } catch (err) {
+            console.error('Validate config: schemas not available', err);
+            return null;
+        }
+        return this.configValidator;
+    }
+
+    /**
+     * Open or close the mesh group editor (leaves step authoring, which also handles part clicks)
+     */
+    async toggleMeshGroupEditor() {
+        if (!this.assemblyConfig || !this.productModel) {
+            console.warn('Mesh group editor: no product loaded');
+            return;
+        }
+        if (!this.meshGroupEditorUI.isVisible()) await this.stepEditor.setEnabled(false);
+        this.meshGroupEditorUI.toggle();
+    }
+
+    /**
+     * List orphan meshes, parts in no step and parts installed by several steps, and outline
+     * the orphans in the viewport until the report is closed
+     * @returns {Object|null} CoverageAnalyzer.analyze result
+     */
+    showCoverage() {
+        if (!this.assemblyConfig || !this.productModel) {
+            console.warn('Coverage: no product loaded');
+            return null;
+        }
+
+        // Animation clones are copies of covered meshes, not parts of the model
+        const clones = new Set(this.assemblyAnimator.animationClones.values());
+        const analyzer = new CoverageAnalyzer(this.meshGroupLoader.meshGroupConfig, this.assemblyConfig.steps);
+        const coverage = analyzer.analyze(this.meshGroupLoader.getMeshResolver(), mesh => !clones.has(mesh));
+        console.log(`Coverage: ${coverage.coveredCount}/${coverage.meshCount} meshes covered`, coverage);
+
+        this.configReportUI.show(analyzer.toIssues(coverage), this.productId, {
+            title: `Coverage report (${coverage.coveredCount}/${coverage.meshCount} meshes covered)`,
+            onHide: () => this.outlineManager.setDiagnosticObjects([])
+        });
+        this.outlineManager.setDiagnosticObjects(coverage.orphanMeshes);
+        return coverage;
+    }
+
+    /**
+     * Free the GPU resources of a loaded model (geometries, materials and their textures)
+     * @param {THREE.Object3D} model
+     */
+    disposeModel(model) {
+        const materials = new Set();
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+            child.geometry?.dispose();
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+                if (material) materials.add(material);
+            });
+        });
+        materials.forEach(material => {
+            Object.values(material).forEach(value => {
+                if (value?.isTexture) value.dispose();
+            });
+            material.dispose();
+        });
+    }
+
+    /**
+     * Bring the app to a URL state (deep link on load, browser back/forward afterwards)
+     * @param {Object} state - From UrlState.read()
+     */
+    applyUrlState(state) {
+        if (state.product !== this.productId) {
+            if (this.productId) this.unloadProduct();
+            if (state.product) {
+                // Step, mode and camera are applied once the product has loaded
+                this.pendingUrlState = state;
+                this.productSelector.selectProduct(state.product, { animate: false });
+            } else {
+                this.productSelector.show();
+            }
+            return;
+        }
+        if (!this.assemblyConfig) {
+            // Still loading: applied when the load completes
+            this.pendingUrlState = state;
+            return;
+        }
+
+        if (state.mode) this.assemblyManager.setStepViewMode(state.mode);
+        if (state.camera) this.setCameraPose(state.camera);
+
+        // The step events below must not push the history entry we are replaying
+        this.applyingUrlState = true;
+        const index = UrlState.findStepIndex(this.assemblyConfig.steps, state.step);
+        if (index !== -1 && index !== this.assemblyManager.current_step) {
+            this.assemblyManager.goToStep(index);
+        } else if (index === -1 && this.assemblyManager.current_step !== -1) {
+            this.assemblyManager.resetAssembly();
+        }
+        this.applyingUrlState = false;
+    }
+
+    /**
+     * @param {Object} camera - { position: [x, y, z], target: [x, y, z] }
+     */
+    setCameraPose({ position, target }) {
+        this.Cam.position.set(...position);
+        this.Cam_Controls.target.set(...target);
+        this.Cam_Controls.update();
+    }
+
+    writeCameraToUrl() {
+        if (!this.productId) return;
+        this.urlState.write({ camera: { position: this.Cam.position, target: this.Cam_Controls.target } });
+    }
+
+    /**
+     * Build the VR step panel from the loaded steps and register its buttons with the gaze controller
+     */
+    setupVRSteps() {
+        this.vrGazeController.clearInteractables();
+        this.vrStepNavigator.initialize(
+            this.assemblyConfig.steps,
+            (step) => {
+                console.log('VR: Step selected:', step.id);
+                this.assemblyManager.startStep(step.id);
+            }
+        );
+
+        // Register VR interactables with gaze controller
+        this.vrStepNavigator.getInteractables().forEach(button => {
+            this.vrGazeController.addInteractable(button, button.userData.vrCallback);
+        });
+    }
+
+    /**
+     * Keep the desktop cards and the VR panel in sync with the step that is playing,
+     * whichever UI started it, and record it in the URL
+     */
+    setupAssemblyEvents() {
+        this.assemblyManager.on('stepstart', ({ step, index }) => {
+            this.stepCardsUI.selectStep(step.id, false);
+            this.vrStepNavigator.setActiveStep(step.id);
+            if (!this.applyingUrlState) {
+                // One history entry per step the user starts; whole-build playback only updates the URL
+                this.urlState.write(
+                    { step: index + 1, mode: this.assemblyManager.step_view_mode },
+                    { push: !this.assemblyManager.is_building }
+                );
+            }
+        });
+        // Steps edited in the StepEditor: rebuild everything listing them
+        this.assemblyManager.on('stepschange', ({ stepId }) => {
+            if (!this.assemblyConfig) return;
+            this.stepCardsUI.refresh(this.assemblyConfig.steps, stepId);
+            this.billOfMaterials?.invalidate();
+            this.bomPanelUI.initialize(this.billOfMaterials, this.assemblyConfig.steps, this.productId);
+            this.setupVRSteps();
+        });
+        this.assemblyManager.on('reset', () => {
+            this.vrStepNavigator.setActiveStep(null);
+            if (!this.applyingUrlState) this.urlState.write({ step: null });
+        });
+    }
+
     /**
      * Legacy method for backward compatibility
      * @deprecated Use loadProductModel instead
      */
     loadDroneModel(path) {
-        const config = {
-            modelPath: path,
-            meshGroupsPath: 'jsons/ConfigJson/drone/MeshGroups.json',
-            assemblyPath: 'jsons/ConfigJson/drone/AssemblyManager.json',
-            animationsPath: 'jsons/ConfigJson/drone/AssemblyAnimations.json',
-            scale: 2,
-            position: [0, 0, 0]
-        };
-        this.loadProductModel(config);
+        // The drone's config paths come from products.json like every other product's
+        const config = this.productSelector.getProductConfig('drone');
+        this.loadProductModel(path ? { ...config, modelPath: path } : config);
     }
 
 
@@ -366,11 +799,16 @@ export class application{
             const dt = lastTime ? (time - lastTime) / 1000 : 0;
             lastTime = time;
 
-            // Update outline blinking
-            this.outlineManager.update(dt);
+            // Advance tweens first so this frame renders their latest values (also ticks in XR)
+            this.tweenManager.update(dt);
+
+            // Update step state (outline blinking)
+            this.assemblyManager.update(dt);
+            this.playbackBarUI.update();
             
             // Update VR components
             const isPresenting = this.renderer.xr.isPresenting;
+            this.partPicker.update(isPresenting);
             if (this.vrGazeController) {
                 this.vrGazeController.update(dt);
             }
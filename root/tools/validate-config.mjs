@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Headless config check: validates a product's MeshGroups.json, AssemblyManager.json and
+ * AssemblyAnimations.json against their schemas, each other and the product's GLB.
+ * With the GLB it also reports coverage (orphan meshes, parts in no step, parts installed twice).
+ *
+ * Usage (from root/):
+ *   node tools/validate-config.mjs <product-id> [--json]
+ *   node tools/validate-config.mjs --config <dir> --model <file.glb> [--json]
+ *
+ * The GLB is parsed with three.js' GLTFLoader (the same naming rules as the app), so `three`
+ * (the version in index.html's importmap) must be resolvable, e.g. `npm install --no-save three@0.177.0`.
+ * Without it, or with --no-model, only the schema and cross-file checks run.
+ * Exits with 1 when errors were found.
+ */
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ConfigValidator } from '../scripts/ConfigValidator.js';
+import { CoverageAnalyzer } from '../scripts/CoverageAnalyzer.js';
+import { MeshResolver } from '../scripts/MeshResolver.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+    const args = { product: null, config: null, model: null, json: false, noModel: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') args.json = true;
+        else if (arg === '--no-model') args.noModel = true;
+        else if (arg === '--config') args.config = argv[++i];
+        else if (arg === '--model') args.model = argv[++i];
+        else if (!arg.startsWith('--')) args.product = arg;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    return args;
+}
+
+async function readJson(file) {
+    return JSON.parse(await readFile(path.resolve(ROOT, file), 'utf8'));
+}
+
+async function readJsonOrNull(file) {
+    try {
+        return await readJson(file);
+    } catch (error) {
+        console.error(`Cannot read ${file}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Config file paths of a product from products.json, or of a config directory
+ */
+async function resolvePaths(args) {
+    if (args.config) {
+        return {
+            meshGroupsPath: path.join(args.config, 'MeshGroups.json'),
+            assemblyPath: path.join(args.config, 'AssemblyManager.json'),
+            animationsPath: path.join(args.config, 'AssemblyAnimations.json'),
+            modelPath: args.model
+        };
+    }
+    const manifest = await readJson('jsons/products.json');
+    const product = (manifest.products || []).find(entry => entry.id === args.product);
+    if (!product) {
+        const ids = (manifest.products || []).map(entry => entry.id).join(', ');
+        throw new Error(`Unknown product "${args.product}" (products.json lists: ${ids})`);
+    }
+    return { ...product, modelPath: args.model || product.modelPath };
+}
+
+/**
+ * @returns {Promise<MeshResolver>} Resolver over the scene graph three.js creates for the GLB
+ */
+async function loadMeshResolver(modelPath) {
+    const { GLTFLoader } = await import('three/addons/loaders/GLTFLoader.js');
+    const file = await readFile(path.resolve(ROOT, modelPath));
+    const data = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+
+    // Textures need a DOM; only the scene graph matters here
+    const warn = console.warn;
+    const error = console.error;
+    console.warn = console.error = () => {};
+    try {
+        const gltf = await new GLTFLoader().parseAsync(data, '');
+        return new MeshResolver(gltf.scene);
+    } finally {
+        console.warn = warn;
+        console.error = error;
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.product && !args.config) {
+        console.error('Usage: node tools/validate-config.mjs <product-id> | --config <dir> --model <file.glb> [--json] [--no-model]');
+        process.exit(2);
+    }
+
+    const paths = await resolvePaths(args);
+    const configs = {
+        meshGroups: await readJsonOrNull(paths.meshGroupsPath),
+        assembly: await readJsonOrNull(paths.assemblyPath),
+        animations: await readJsonOrNull(paths.animationsPath)
+    };
+
+    let meshResolver = null;
+    if (!args.noModel && paths.modelPath) {
+        try {
+            meshResolver = await loadMeshResolver(paths.modelPath);
+        } catch (error) {
+            console.error(`Model checks skipped (${paths.modelPath}): ${error.message}`);
+        }
+    }
+
+    const validator = new ConfigValidator(await ConfigValidator.loadSchemas(readJson));
+    const result = validator.validate(configs, meshResolver);
+
+    let coverage = null;
+    if (meshResolver && configs.meshGroups && configs.assembly) {
+        const analyzer = new CoverageAnalyzer(configs.meshGroups, configs.assembly.steps);
+        coverage = analyzer.analyze(meshResolver);
+        const coverageIssues = analyzer.toIssues(coverage);
+        result.issues.push(...coverageIssues.issues);
+        result.errors += coverageIssues.errors;
+        result.warnings += coverageIssues.warnings;
+    }
+
+    if (args.json) {
+        // Orphans by node path instead of the three.js objects
+        const orphanPaths = coverage?.orphanMeshes.map(mesh => meshResolver.getPath(mesh));
+        console.log(JSON.stringify({
+            ...result,
+            meshCount: meshResolver ? meshResolver.getMeshes().length : null,
+            coverage: coverage && { ...coverage, orphanMeshes: orphanPaths }
+        }, null, 2));
+    } else {
+        result.issues.forEach(issue => {
+            const location = issue.path ? `${issue.file} ${issue.path}` : issue.file;
+            console.log(`${issue.severity.toUpperCase().padEnd(7)} ${location}: ${issue.message}`);
+        });
+        const model = coverage
+            ? `${coverage.coveredCount}/${coverage.meshCount} meshes of ${paths.modelPath} covered`
+            : 'no model';
+        console.log(`\n${result.errors} error(s), ${result.warnings} warning(s) (${model})`);
+    }
+    process.exit(result.errors > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(2);
+});